@@ -16,7 +16,14 @@
       CONFLICT_OWNER: 'Element #{{id}} is already owned by "{{owner}}"',
       INVALID_CONSTRUCTOR_ID: 'Constructor requires a non-empty string id without "#"',
       ALREADY_DESTRUCTED: 'Instance "{{cls}}" for #{{id}} already destructed',
-      DESTRUCT_IN_PROGRESS: 'Destruction already in progress for "{{cls}}" #{{id}}'
+      DESTRUCT_IN_PROGRESS: 'Destruction already in progress for "{{cls}}" #{{id}}',
+      OPTION_REQUIRED: '{{cls}} #{{id}}: option "{{option}}" is required',
+      OPTION_TYPE: '{{cls}} #{{id}}: option "{{option}}" must be {{type}}, got {{value}}',
+      OPTION_ENUM: '{{cls}} #{{id}}: option "{{option}}" must be one of {{allowed}}, got {{value}}',
+      OPTION_INVALID: '{{cls}} #{{id}}: option "{{option}}" is invalid ({{reason}})',
+      BUS_NO_HANDLER: 'No subscriber for request "{{topic}}" from "{{cls}}" #{{id}}',
+      BUS_TIMEOUT: 'Request "{{topic}}" from "{{cls}}" #{{id}} timed out after {{timeout}}ms',
+      BUS_CANCELLED: 'Request "{{topic}}" cancelled: "{{cls}}" #{{id}} destructed'
     }, { override: false });
   }
 
@@ -29,16 +36,198 @@
     return REG[className];
   }
 
+  // Instance owning el (via data-light-name + id), or null
+  function instanceFor(el) {
+    const cname = el && el.nodeType === 1 ? el.getAttribute('data-light-name') : null;
+    const group = cname && REG[cname];
+    return (group && el.id && group[el.id]) || null;
+  }
+
+  // Nearest owning instance strictly above el
+  function ownerAbove(el) {
+    for (let p = el && el.parentElement; p; p = p.parentElement) {
+      const inst = instanceFor(p);
+      if (inst) return inst;
+    }
+    return null;
+  }
+
+  const byDocumentOrder = (a, b) => {
+    if (a.root === b.root || !a.root || !b.root) return 0;
+    return (a.root.compareDocumentPosition(b.root) & Node.DOCUMENT_POSITION_FOLLOWING) ? -1 : 1;
+  };
+
+  // ---------- Component bus ----------
+  // topic -> Set<{ owner, fn, scope }>. Scope is relative to the subscriber:
+  // 'global' hears everyone, 'ancestors' only instances owning it, 'descendants' only instances it owns.
+  const BUS = new Map();
+  const BUS_SCOPES = ['global', 'ancestors', 'descendants'];
+
+  function busHears(sub, source) {
+    if (sub.scope === 'global') return true;
+    const a = sub.owner.root, b = source && source.root;
+    if (!a || !b || a === b) return false;
+    return sub.scope === 'ancestors' ? b.contains(a) : a.contains(b);
+  }
+
+  // Deliver to matching subscribers; returns handler results (undefined = no reply)
+  function busDeliver(topic, payload, source) {
+    const subs = BUS.get(topic);
+    if (!subs) return [];
+    const out = [];
+    for (const sub of Array.from(subs)) {
+      if (sub.owner === source || !busHears(sub, source)) continue;
+      if (sub.owner.isDestructed) continue;
+      try {
+        out.push(sub.fn.call(sub.owner, payload, { topic, source }));
+      } catch (e) {
+        sub.owner._fail(e, `subscribe:${topic}`);
+      }
+    }
+    return out;
+  }
+
+  // ---------- Options schema ----------
+  // static options = { columns: { type: 'int', default: 3 }, mode: { enum: ['a', 'b'] }, url: 'string' }
+  // Spec fields: type ('string'|'number'|'int'|'boolean'|'array'|'object'|'function'|'element'|'any',
+  // or an array of them), default (functions are called unless type is 'function'), enum,
+  // required, validate(value, options) → true | false | reason string.
+  const OPTION_TYPES = {
+    string: (v) => typeof v === 'string',
+    number: (v) => typeof v === 'number' && !isNaN(v),
+    int: (v) => Number.isInteger(v),
+    boolean: (v) => typeof v === 'boolean',
+    array: (v) => Array.isArray(v),
+    object: (v) => !!v && typeof v === 'object' && !Array.isArray(v),
+    function: (v) => typeof v === 'function',
+    element: (v) => !!v && v.nodeType === 1,
+    any: () => true
+  };
+
+  // data-* strings → typed values; returns undefined when the string does not fit the type
+  const OPTION_COERCE = {
+    string: (s) => s,
+    number: (s) => (s.trim() !== '' && isFinite(s) ? Number(s) : undefined),
+    int: (s) => (/^\s*-?\d+\s*$/.test(s) ? parseInt(s, 10) : undefined),
+    boolean: (s) => {
+      const v = s.trim().toLowerCase();
+      if (v === '' || v === 'true' || v === '1' || v === 'yes' || v === 'on') return true;
+      if (v === 'false' || v === '0' || v === 'no' || v === 'off') return false;
+      return undefined;
+    },
+    array: (s) => {
+      if (/^\s*\[/.test(s)) { try { return JSON.parse(s); } catch (_) { return undefined; } }
+      return s.trim() === '' ? [] : s.split(',').map(x => x.trim());
+    },
+    object: (s) => { try { const v = JSON.parse(s); return OPTION_TYPES.object(v) ? v : undefined; } catch (_) { return undefined; } },
+    element: (s) => { try { return document.querySelector(s) || undefined; } catch (_) { return undefined; } },
+    function: () => undefined,
+    any: (s) => s
+  };
+
+  // Per-instance copy of a default: plain objects/arrays are copied, anything else (functions,
+  // elements, class instances) is shared as-is
+  const copyDefault = (v) => {
+    if (Array.isArray(v)) return v.map(copyDefault);
+    if (v && Object.prototype.toString.call(v) === '[object Object]') {
+      const out = {};
+      for (const k of Object.keys(v)) out[k] = copyDefault(v[k]);
+      return out;
+    }
+    return v;
+  };
+
+  const SCHEMAS = new WeakMap(); // class -> merged, normalized schema
+
+  // Merge static options along the class chain (subclass entries win)
+  function schemaOf(cls) {
+    if (SCHEMAS.has(cls)) return SCHEMAS.get(cls);
+    const chain = [];
+    for (let c = cls; c && c !== Function.prototype; c = Object.getPrototypeOf(c)) {
+      if (Object.prototype.hasOwnProperty.call(c, 'options') && c.options) chain.unshift(c.options);
+    }
+    const out = Object.create(null);
+    for (const part of chain) {
+      for (const k of Object.keys(part)) {
+        const spec = part[k];
+        out[k] = (typeof spec === 'string' || Array.isArray(spec)) ? { type: spec } : Object.assign({}, spec);
+      }
+    }
+    SCHEMAS.set(cls, out);
+    return out;
+  }
+
+  const typesOf = (spec) => [].concat(spec.type || 'any');
+  const showValue = (v) => {
+    if (typeof v === 'string') return JSON.stringify(v);
+    if (v && v.nodeType === 1) return `<${v.tagName.toLowerCase()}>`;
+    try { return JSON.stringify(v); } catch (_) { return String(v); }
+  };
+
+  /**
+   * Defaults < data-* on root < constructor options; then type/enum/required/validate checks.
+   * Keys not in the schema pass through untouched.
+   */
+  function resolveOptions(cls, el, options, ctx) {
+    const L = global.L;
+    const schema = schemaOf(cls);
+    const out = Object.assign({}, options);
+    const fail = (code, option, extra) => L.assert(false, `LightBase.${code}`, Object.assign({ option }, ctx, extra));
+
+    for (const key of Object.keys(schema)) {
+      const spec = schema[key];
+      const types = typesOf(spec);
+      if (out[key] === undefined && el.dataset && el.dataset[key] !== undefined) {
+        const raw = el.dataset[key];
+        let val;
+        for (const t of types) {
+          const c = OPTION_COERCE[t] ? OPTION_COERCE[t](raw) : undefined;
+          if (c !== undefined) { val = c; break; }
+        }
+        if (val === undefined) fail('OPTION_TYPE', key, { type: types.join('|'), value: showValue(raw) });
+        out[key] = val;
+      }
+      if (out[key] === undefined && spec.default !== undefined) {
+        const d = spec.default;
+        out[key] = (typeof d === 'function' && !types.includes('function')) ? d() : copyDefault(d);
+      }
+    }
+
+    for (const key of Object.keys(schema)) {
+      const spec = schema[key];
+      const v = out[key];
+      if (v === undefined || v === null) {
+        if (spec.required) fail('OPTION_REQUIRED', key);
+        continue;
+      }
+      const types = typesOf(spec);
+      if (!types.some(t => (OPTION_TYPES[t] || OPTION_TYPES.any)(v))) {
+        fail('OPTION_TYPE', key, { type: types.join('|'), value: showValue(v) });
+      }
+      if (spec.enum && !spec.enum.includes(v)) {
+        fail('OPTION_ENUM', key, { allowed: spec.enum.map(showValue).join(', '), value: showValue(v) });
+      }
+      if (typeof spec.validate === 'function') {
+        const res = spec.validate(v, out);
+        if (res !== true && res !== undefined) {
+          fail('OPTION_INVALID', key, { reason: typeof res === 'string' ? res : 'validator rejected ' + showValue(v) });
+        }
+      }
+    }
+    return out;
+  }
+
   class LightBase {
     static version = '1.0.1';
 
     /**
      * @param {string} id - element id (without #)
-     * @param {object} [options] - optional options bag (kept for future)
+     * @param {object} [options] - options, resolved against the static options schema
      */
     constructor(id, options = {}) {
       const L = global.L;
       const cls = getClassName(this.constructor);
+      const perfSpan = L.perf.start('LightBase:construct', { cls, id });
 
       // Invariants: id is a non-empty string without '#'
       L.assert(!!id && typeof id === 'string' && !id.includes('#'),
@@ -57,6 +246,9 @@
       const owner = el.getAttribute('data-light-name');
       L.assert(!owner || owner === cls, 'LightBase.CONFLICT_OWNER', { id, owner });
 
+      // Validate options before the element is claimed
+      options = resolveOptions(this.constructor, el, options || {}, { id, cls });
+
       // Set attributes and basic metadata
       el.setAttribute('data-light-name', cls);
 
@@ -65,9 +257,8 @@
       this.root = el;
       this.className = cls;
       this.version = this.constructor.version || '0.0.0';
-      // Language: read once at construction
-      this.locale = (typeof global.LNG !== 'undefined' && global.LNG) ? String(global.LNG)
-                   : (L && L.env && L.env.get('LNG')) || 'pl';
+      // Language: kept in sync with L.i18n (see onLocaleChange)
+      this.locale = L.i18n.locale();
 
       // Internal flags
       this.isDestructing = false;
@@ -84,29 +275,145 @@
       // Register instance
       bucket[id] = this;
 
-      // Per-instance scoped logger that does not touch global prefix
-      const makeScoped = (lvl) => (...args) => {
-        if (!L || !L.log || !L.log.isEnabled(lvl)) return;
-        const prefix = `[${cls}#${id}]`;
-        const first = args[0];
-        if (typeof first === 'function') {
-          L.log[lvl](() => `${prefix} ${first()}`);
-        } else {
-          L.log[lvl](prefix, ...args);
-        }
-      };
-      this.log = {
-        isEnabled: (lvl) => L && L.log && L.log.isEnabled(lvl),
-        info: makeScoped('info'),
-        warn: makeScoped('warning'),
-        danger: makeScoped('danger')
-      };
+      // Per-instance logger: namespace 'Cls#id', levels from ?log=Cls:info or LightBase:warning
+      this.log = L.log.ns(`${cls}#${id}`, { parent: 'LightBase' });
 
       // Startup log
       this.log.info(() => `init v${this.version} locale=${this.locale}`);
 
-      // Placeholder for optional options usage
       this.options = options;
+
+      this.addDisposer(L.i18n.onChange((locale, previous) => {
+        this.locale = locale;
+        this._hook('onLocaleChange', locale, previous);
+      }));
+
+      // Lifecycle: hooks run once the subclass constructor has returned.
+      // ready resolves with the instance, or null if destructed before init.
+      this.ready = new Promise((resolve) => {
+        queueMicrotask(() => {
+          perfSpan.end(); // includes the subclass constructor
+          if (this.isDestructing || this.isDestructed) return resolve(null);
+          Promise.resolve(this._hook('onInit')).then(() => {
+            if (this.isDestructing || this.isDestructed) return resolve(null);
+            this._emit('light:init');
+            this.requestFrame(() => this._hook('onMount'));
+            resolve(this);
+          });
+        });
+      });
+    }
+
+    /**
+     * Registry queries. cls may be a class or a class name; on a subclass it defaults to that class
+     * (Gallery.get('x'), Gallery.all()).
+     */
+    static get(cls, id) {
+      if (id === undefined && this !== LightBase) { id = cls; cls = this; }
+      const group = REG[typeof cls === 'string' ? cls : getClassName(cls)];
+      return (group && group[id]) || null;
+    }
+
+    static all(cls = this === LightBase ? null : this) {
+      const names = cls ? [typeof cls === 'string' ? cls : getClassName(cls)] : Object.keys(REG);
+      const out = [];
+      for (const n of names) if (REG[n]) for (const id of Object.keys(REG[n])) out.push(REG[n][id]);
+      return out.sort(byDocumentOrder);
+    }
+
+    /** Instances whose root is rootEl or inside it (document order) */
+    static within(rootEl) {
+      const el = typeof rootEl === 'string' ? document.querySelector(rootEl) : rootEl;
+      if (!el) return [];
+      return LightBase.all().filter(inst => inst.root && el.contains(inst.root));
+    }
+
+    static parentOf(instance) {
+      return (instance && ownerAbove(instance.root)) || null;
+    }
+
+    static childrenOf(instance) {
+      if (!instance || !instance.root) return [];
+      return LightBase.within(instance.root).filter(inst => inst !== instance && ownerAbove(inst.root) === instance);
+    }
+
+    /**
+     * Ownership hierarchy from data-light-name nesting:
+     * [{ instance, cls, id, children: [...] }]
+     */
+    static tree() {
+      const all = LightBase.all();
+      const nodes = new Map(all.map(inst => [inst, { instance: inst, cls: inst.className, id: inst.id, children: [] }]));
+      const roots = [];
+      for (const inst of all) {
+        const parent = ownerAbove(inst.root);
+        (parent && nodes.has(parent) ? nodes.get(parent).children : roots).push(nodes.get(inst));
+      }
+      return roots;
+    }
+
+    /**
+     * Destruct (forced, deepest-first) every instance matching filter:
+     * an element/selector (region), a class or class name, or a predicate. No filter = everything.
+     * Returns how many of the matched instances ended up destructed.
+     */
+    static destructAll(filter) {
+      let list;
+      if (filter === undefined || filter === null) list = LightBase.all();
+      else if (typeof filter === 'string' && REG[filter]) list = LightBase.all(filter);
+      else if (typeof filter === 'string' || (filter && filter.nodeType === 1)) list = LightBase.within(filter);
+      else if (typeof filter === 'function' && (filter === LightBase || filter.prototype instanceof LightBase)) list = LightBase.all(filter);
+      else if (typeof filter === 'function') list = LightBase.all().filter(filter);
+      else list = [];
+      for (const inst of list.slice().reverse()) {
+        if (inst.isDestructing || inst.isDestructed) continue;
+        try { inst.destruct({ force: true }); } catch (e) {
+          global.L.log.danger(`destructAll: ${inst.className}#${inst.id} failed`, e);
+        }
+      }
+      return list.filter(inst => inst.isDestructed).length;
+    }
+
+    /**
+     * Merged options schema for a class (own + inherited static options)
+     */
+    static optionsSchema(cls = this) {
+      return Object.assign({}, schemaOf(cls));
+    }
+
+    /**
+     * Lifecycle hooks (override in subclasses)
+     *  - onInit: after construction (may return a promise, light:init waits for it)
+     *  - onMount: first animation frame after init — layout is available
+     *  - beforeDestruct: return false to veto; a returned promise is awaited by destructAsync()
+     *  - afterDestruct: resources released, instance unregistered
+     *  - onError(err, phase): a hook or child destruct failed
+     *  - onLocaleChange(locale, previous): L.i18n.setLocale() switched language (this.locale is updated)
+     */
+    onInit() {}
+    onMount() {}
+    beforeDestruct() {}
+    afterDestruct() {}
+    onLocaleChange() {}
+    onError(err, phase) {
+      global.L.reportError(err, { source: `${this.className}#${this.id}`, phase, instance: this });
+    }
+
+    _hook(name, ...args) {
+      let out;
+      try { out = this[name](...args); } catch (e) { this._fail(e, name); return undefined; }
+      if (out && typeof out.then === 'function') return out.then(null, (e) => { this._fail(e, name); });
+      return out;
+    }
+
+    _fail(err, phase) {
+      try { this.onError(err, phase); } catch (e) {
+        global.L.reportError(e, { source: `${this.className}#${this.id}`, phase: 'onError', cause: err });
+      }
+    }
+
+    _emit(type) {
+      if (this.root) global.L.emit(this.root, type, { instance: this, id: this.id, cls: this.className });
     }
 
     /**
@@ -184,11 +491,102 @@
       return dispose;
     }
 
+    /**
+     * Subscribe to an L.socket channel message type (auto-unsubscribe on destruct)
+     */
+    onSocket(socket, type, handler) {
+      const off = socket.on(type, handler);
+      this.addDisposer(off);
+      return off;
+    }
+
+    /**
+     * Subscribe to an L.state store path (auto-unsubscribe on destruct)
+     */
+    watchState(store, path, handler, opts) {
+      const off = store.subscribe(path, handler, opts);
+      this.addDisposer(off);
+      return off;
+    }
+
+    /**
+     * Bind data-l-* attributes under this.root to data or an L.state store;
+     * data-l-on handlers resolve to this instance's methods (auto-unbind on destruct)
+     */
+    bindData(source, opts = {}) {
+      const dispose = global.L.bind(this.root, source, global.L.extend({ context: this }, opts));
+      this.addDisposer(dispose);
+      return dispose;
+    }
+
+    /**
+     * Component bus (auto-unsubscribe on destruct).
+     * fn(payload, { topic, source }) is called with this = subscriber; returning a value
+     * (or a promise) answers request().
+     */
+    subscribe(topic, fn, { scope = 'global' } = {}) {
+      global.L.assert(BUS_SCOPES.includes(scope), 'E_ASSERT_FAILED', { message: `subscribe: unknown scope "${scope}"` });
+      const sub = { owner: this, fn, scope };
+      if (!BUS.has(topic)) BUS.set(topic, new Set());
+      BUS.get(topic).add(sub);
+      const off = () => {
+        const subs = BUS.get(topic);
+        if (subs && subs.delete(sub) && !subs.size) BUS.delete(topic);
+      };
+      this.addDisposer(off);
+      return off;
+    }
+
+    /** Returns the number of subscribers reached */
+    publish(topic, payload) {
+      return busDeliver(topic, payload, this).length;
+    }
+
+    /**
+     * Publish and resolve with the first reply; rejects with LightBase.BUS_NO_HANDLER,
+     * LightBase.BUS_TIMEOUT or LightBase.BUS_CANCELLED (this instance destructed first).
+     */
+    request(topic, payload, { timeout = 5000 } = {}) {
+      const info = { topic, cls: this.className, id: this.id, timeout };
+      return new Promise((resolve, reject) => {
+        const replies = busDeliver(topic, payload, this).filter(r => r !== undefined);
+        if (!replies.length) return reject(global.L.error('LightBase.BUS_NO_HANDLER', info));
+        let settled = false;
+        const cancel = () => finish(reject, global.L.error('LightBase.BUS_CANCELLED', info));
+        const timer = this.setT(() => finish(reject, global.L.error('LightBase.BUS_TIMEOUT', info)), timeout);
+        const finish = (fn, v) => {
+          if (settled) return;
+          settled = true;
+          this.clearT(timer);
+          this._disposers = this._disposers.filter(d => d !== cancel);
+          fn(v);
+        };
+        this.addDisposer(cancel);
+        let pending = replies.length;
+        for (const r of replies) {
+          Promise.resolve(r).then((v) => finish(resolve, v), (e) => { if (!--pending) finish(reject, e); });
+        }
+      });
+    }
+
+    /** Publish from outside any component (reaches 'global' subscribers only) */
+    static publish(topic, payload) {
+      return busDeliver(topic, payload, null).length;
+    }
+
+    /**
+     * Translate via L.i18n; keys without "ns:" resolve in this class's namespace
+     * (L.i18n.add('pl', 'Gallery', {...}) → this.t('next')).
+     */
+    t(key, params) {
+      return global.L.i18n.t(String(key).includes(':') ? key : `${this.className}:${key}`, params);
+    }
+
     /**
      * Timers and animation frames with auto-cleanup
      */
     setT(fn, ms) {
-      const id = setTimeout(fn, ms);
+      const id = setTimeout(() => { this._timeouts.delete(id); fn(); }, ms);
       this._timeouts.add(id);
       return id;
     }
@@ -223,46 +621,163 @@
       return ac;
     }
 
+    /**
+     * Destruct-aware async helpers. Requests get an instance-owned AbortSignal (linked to
+     * opts.signal when given) and, like guard(), never settle once the instance is destructed.
+     */
+    guard(promise) {
+      const alive = () => !this.isDestructing && !this.isDestructed;
+      return new Promise((resolve, reject) => {
+        Promise.resolve(promise).then(
+          (v) => { if (alive()) resolve(v); },
+          (e) => { if (alive()) reject(e); }
+        );
+      });
+    }
+
+    _requestController(signal) {
+      const ac = this.addAbortController(new AbortController());
+      if (signal) {
+        if (signal.aborted) ac.abort();
+        else signal.addEventListener('abort', () => ac.abort(), { once: true });
+      }
+      return ac;
+    }
+
+    fetch(url, init = {}) {
+      const ac = this._requestController(init.signal);
+      const p = fetch(url, Object.assign({}, init, { signal: ac.signal }));
+      return this.guard(p.finally(() => this._aborts.delete(ac)));
+    }
+
+    ajax(opts = {}) {
+      const ac = this._requestController(opts.signal);
+      const p = global.L.ajax(Object.assign({}, opts, { signal: ac.signal }));
+      return this.guard(p.finally(() => this._aborts.delete(ac)));
+    }
+
+    sleep(ms) {
+      return new Promise((resolve) => this.setT(resolve, ms));
+    }
+
+    /**
+     * debounce/throttle on this instance's timers: pending calls are dropped on destruct.
+     * Both return a wrapper with .cancel(); fn is called with this = the instance.
+     */
+    debounce(fn, wait, { leading = false, trailing = true } = {}) {
+      let timer = null, args = null;
+      const wrapped = (...a) => {
+        if (this.isDestructed) return;
+        const idle = timer === null;
+        if (timer !== null) this.clearT(timer);
+        args = a;
+        timer = this.setT(() => {
+          timer = null;
+          if (trailing && args) fn.apply(this, args);
+          args = null;
+        }, wait);
+        if (idle && leading) { fn.apply(this, a); args = null; }
+      };
+      wrapped.cancel = () => { if (timer !== null) this.clearT(timer); timer = null; args = null; };
+      return wrapped;
+    }
+
+    throttle(fn, wait, { leading = true, trailing = true } = {}) {
+      let last = 0, timer = null, args = null;
+      const invoke = () => { last = Date.now(); const a = args; args = null; fn.apply(this, a); };
+      const wrapped = (...a) => {
+        if (this.isDestructed) return;
+        const now = Date.now();
+        if (!last && !leading) last = now;
+        const remaining = wait - (now - last);
+        args = a;
+        if (remaining <= 0 || remaining > wait) {
+          if (timer !== null) { this.clearT(timer); timer = null; }
+          invoke();
+        } else if (timer === null && trailing) {
+          timer = this.setT(() => { timer = null; if (args) invoke(); }, remaining);
+        }
+      };
+      wrapped.cancel = () => { if (timer !== null) this.clearT(timer); timer = null; args = null; last = 0; };
+      return wrapped;
+    }
+
     /**
      * Destruction with cascade:
+     *  - beforeDestruct may veto (ignored with { force: true }, used by the cascade)
      *  - run child destructs first (deepest-first) if instances still exist & not destructing/destructed
      *  - cleanup resources
      *  - clear own DOM
      *  - remove data-light-name
      *  - remove from registry
-     *  - mark flags
+     *  - mark flags, afterDestruct, light:destruct
+     * Returns false when vetoed.
+     */
+    destruct(opts = {}) {
+      this._guardDestruct();
+      const verdict = this._hook('beforeDestruct', opts);
+      if (verdict && typeof verdict.then === 'function') {
+        this.log.warn('beforeDestruct returned a promise; use destructAsync() to await it');
+      } else if (verdict === false && !opts.force) {
+        this.log.info('destruct vetoed');
+        return false;
+      }
+      this.isDestructing = true;
+      this._teardown((inst) => inst.destruct({ force: true }));
+      return true;
+    }
+
+    /**
+     * Like destruct(), but awaits beforeDestruct (own and children's, deepest-first).
+     * Resolves false when vetoed.
      */
-    destruct() {
+    async destructAsync(opts = {}) {
+      this._guardDestruct();
+      this.isDestructing = true;
+      const verdict = await this._hook('beforeDestruct', opts);
+      if (verdict === false && !opts.force) {
+        this.isDestructing = false;
+        this.log.info('destruct vetoed');
+        return false;
+      }
+      for (const inst of this._ownedInstancesDeepFirst()) {
+        if (inst.isDestructing || inst.isDestructed) continue;
+        try { await inst.destructAsync({ force: true }); } catch (e) { this._fail(e, 'destruct'); }
+      }
+      this._teardown((inst) => inst.destruct({ force: true }));
+      return true;
+    }
+
+    _guardDestruct() {
       const L = global.L;
       const cls = this.className;
       const id = this.id;
-      const bucket = ensureClassBucket(cls);
-
       // Guard: already destructed or in progress
-      if (this.isDestructed) {
-        L.assert(false, 'LightBase.ALREADY_DESTRUCTED', { cls, id });
-        return;
-      }
-      if (this.isDestructing) {
-        L.assert(false, 'LightBase.DESTRUCT_IN_PROGRESS', { cls, id });
-        return;
+      if (this.isDestructed) L.assert(false, 'LightBase.ALREADY_DESTRUCTED', { cls, id });
+      if (this.isDestructing) L.assert(false, 'LightBase.DESTRUCT_IN_PROGRESS', { cls, id });
+    }
+
+    _ownedInstancesDeepFirst() {
+      const out = [];
+      for (const el of this._collectOwnedDescendantsDeepFirst()) {
+        const cname = el.getAttribute('data-light-name');
+        const group = cname && el.id ? REG[cname] : null;
+        const inst = group && group[el.id];
+        if (inst) out.push(inst);
       }
+      return out;
+    }
 
-      this.isDestructing = true;
+    _teardown(destructChild) {
+      const L = global.L;
+      const bucket = ensureClassBucket(this.className);
+      const id = this.id;
+      const perfSpan = L.perf.start('LightBase:destruct', { cls: this.className, id });
       try {
         // 1) Cascade to children (deepest-first)
-        const nodes = this._collectOwnedDescendantsDeepFirst();
-        for (const el of nodes) {
-          const cname = el.getAttribute('data-light-name');
-          const cid = el.id;
-          if (!cname || !cid) continue;
-          const group = REG[cname];
-          const inst = group && group[cid];
-          if (inst && !inst.isDestructing && !inst.isDestructed) {
-            try { inst.destruct(); } catch (e) {
-              if (L && L.log) L.log.danger('child destruct error', e);
-            }
-          }
+        for (const inst of this._ownedInstancesDeepFirst()) {
+          if (inst.isDestructing || inst.isDestructed) continue;
+          try { destructChild(inst); } catch (e) { this._fail(e, 'destruct'); }
         }
 
         // 2) Cleanup resources
@@ -270,7 +785,7 @@
         for (const rec of this._listeners) this._removeEvent(rec);
         this._listeners = [];
         // disposers
-        for (const d of this._disposers) { try { d(); } catch(_){} }
+        for (const d of this._disposers) { try { d(); } catch (e) { this._fail(e, 'destruct:disposer'); } }
         this._disposers = [];
         // timers
         for (const id of Array.from(this._timeouts)) clearTimeout(id);
@@ -281,7 +796,7 @@
         for (const id of Array.from(this._rafs)) cancelAnimationFrame(id);
         this._rafs.clear();
         // aborts
-        for (const ac of Array.from(this._aborts)) { try { ac.abort(); } catch(_){} }
+        for (const ac of Array.from(this._aborts)) { try { ac.abort(); } catch (e) { this._fail(e, 'destruct:abort'); } }
         this._aborts.clear();
 
         // 3) Clear own DOM
@@ -293,17 +808,110 @@
         // 5) Remove from registry
         if (bucket[id] === this) delete bucket[id];
 
-        if (L && L.log && L.log.isEnabled('info')) {
-          L.log.info(() => `destructed v${this.version}`);
-        }
+        this.log.info(() => `destructed v${this.version}`);
 
       } finally {
         this.isDestructing = false;
         this.isDestructed = true;
+        perfSpan.end();
       }
+      this._hook('afterDestruct');
+      this._emit('light:destruct');
     }
   }
 
+  // ---------- Component registry and auto-mounting ----------
+  // <div id="x" data-light-component="Gallery" data-columns="3"> → new Gallery('x', { columns: 3 })
+  const COMPONENTS = new Map(); // name -> class
+  const COMPONENT_ATTR = 'data-light-component';
+
+  function parseDataValue(v) {
+    if (v === 'true') return true;
+    if (v === 'false') return false;
+    if (v === 'null') return null;
+    if (v !== '' && /^-?\d+(\.\d+)?$/.test(v)) return Number(v);
+    if (/^\s*[[{]/.test(v)) { try { return JSON.parse(v); } catch (_) {} }
+    return v;
+  }
+
+  // data-* (minus bookkeeping and data-l-* bindings) → options; data-options='{...}' is merged in.
+  // Keys declared in the class's options schema are left to the constructor (typed coercion)
+  function optionsFromDataset(el, cls) {
+    const out = {};
+    const schema = schemaOf(cls);
+    for (const k of Object.keys(el.dataset)) {
+      if (k === 'lightComponent' || k === 'lightName' || /^l[A-Z]/.test(k) || k in schema) continue;
+      const v = parseDataValue(el.dataset[k]);
+      if (k === 'options' && v && typeof v === 'object') global.L.extend(true, out, v);
+      else out[k] = v;
+    }
+    return out;
+  }
+
+  const components = {
+    register(name, cls) {
+      if (typeof cls !== 'function') throw new Error(`components.register: "${name}" is not a class`);
+      COMPONENTS.set(String(name), cls);
+      return cls;
+    },
+    unregister(name) { COMPONENTS.delete(String(name)); },
+    get(name) { return COMPONENTS.get(String(name)) || null; },
+
+    /**
+     * Instantiate every [data-light-component] at/under root (document order, parents first).
+     * Returns the instances created by this call.
+     */
+    mount(root = document) {
+      const L = global.L;
+      const rootEl = typeof root === 'string' ? document.querySelector(root) : root;
+      if (!rootEl) return [];
+      const els = L.q(`[${COMPONENT_ATTR}]`, rootEl);
+      if (rootEl.nodeType === 1 && rootEl.hasAttribute(COMPONENT_ATTR)) els.unshift(rootEl);
+      const created = [];
+      for (const el of els) {
+        if (!L.dom.inDocument(el)) continue;
+        const name = el.getAttribute(COMPONENT_ATTR);
+        const Cls = COMPONENTS.get(name);
+        if (!Cls) { L.log.warn('components.mount: unknown component', name); continue; }
+        if (instanceFor(el)) continue;
+        if (!el.id) el.id = L.uuid(name.replace(/[^\w-]/g, '') || 'lc');
+        try {
+          created.push(new Cls(el.id, optionsFromDataset(el, Cls)));
+        } catch (e) {
+          L.log.danger('components.mount: failed', name, el.id, e);
+        }
+      }
+      return created;
+    },
+
+    /**
+     * Watch root: mount inserted markup, destruct instances whose root left the document.
+     * Returns a disposer.
+     */
+    observe(root = document.body) {
+      const L = global.L;
+      return L.observe.mutation(root, { childList: true, subtree: true }, (list) => {
+        for (const rec of list) {
+          for (const n of Array.from(rec.removedNodes)) {
+            // moved nodes are back in the document by the time the observer runs
+            if (n.nodeType === 1 && !n.isConnected) L.dom.destructOwned(n);
+          }
+          for (const n of Array.from(rec.addedNodes)) {
+            if (n.nodeType === 1 && n.isConnected) components.mount(n);
+          }
+        }
+      });
+    },
+
+    /** mount() + observe() */
+    start(root = document.body) {
+      components.mount(root);
+      return components.observe(root);
+    }
+  };
+
+  if (global.L) global.L.components = components;
+
   // Expose
   global.LightBase = LightBase;
 
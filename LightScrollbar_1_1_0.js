@@ -28,13 +28,20 @@
     E_DRAG_INACTIVE: 'No active drag state'
   };
   try { if (L && L.errors && typeof L.errors.register === 'function') L.errors.register('LightScrollbar', ERR); } catch(_) {}
+  // destroy() keeps going past a failing cleanup fn; the error is reported, not lost
+  const report = (e, phase) => { if (L && L.reportError) L.reportError(e, { source: 'LightScrollbar', phase }); };
 
   function mkLogger(ctx) {
-    const p = '[LightScrollbar' + (ctx ? ':'+ctx : '') + ']';
+    const name = 'LightScrollbar' + (ctx ? ':'+ctx : '');
+    let log = null;
+    try { log = L && L.log && L.log.ns ? L.log.ns(name) : null; } catch(_) {}
+    // older facades: no namespaces, prefix instead
+    const call = (lvl, a) => { try { if (log) log[lvl](...a); else if (L && L.log && L.log[lvl]) L.log[lvl]('[' + name + ']', ...a); } catch(_) {} };
     return {
-      info: (...a) => { try { L && L.log && L.log.info && L.log.info(p, ...a); } catch(_) {} },
-      warn: (...a) => { try { L && L.log && L.log.warn && L.log.warn(p, ...a); } catch(_) {} },
-      danger: (...a) => { try { L && L.log && L.log.danger && L.log.danger(p, ...a); } catch(_) {} },
+      debug: (...a) => call('debug', a),
+      info: (...a) => call('info', a),
+      warn: (...a) => call('warn', a),
+      danger: (...a) => call('danger', a),
     };
   }
 
@@ -222,14 +229,14 @@
           L.off(document,'mouseup',this._docDragHandlers.up);
           L.off(document,'touchmove',this._docDragHandlers.move);
           L.off(document,'touchend',this._docDragHandlers.up);
-        }catch(_){}
+        }catch(e){ report(e, 'destroy:drag'); }
         this._docDragHandlers = null;
       }
-      while (this._cleanup.length){ try{ const fn=this._cleanup.pop(); fn && fn(); }catch(_){ } }
+      while (this._cleanup.length){ try{ const fn=this._cleanup.pop(); fn && fn(); }catch(e){ report(e, 'destroy:cleanup'); } }
       try{
         this.trackX && this.trackX.parentNode===this.host && this.host.removeChild(this.trackX);
         this.trackY && this.trackY.parentNode===this.host && this.host.removeChild(this.trackY);
-      }catch(_){}
+      }catch(e){ report(e, 'destroy:dom'); }
       this.host.classList.remove(CLS.base, CLS.hasX, CLS.hasY, CLS.dragging, CLS.hideNative);
       this._log.info('destroy');
       this.trackX=this.trackY=this.gripX=this.gripY=null;
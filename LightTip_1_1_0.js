@@ -96,12 +96,19 @@
     E_NOT_OPEN: 'Tooltip not open'
   };
   try { if (L && L.errors && typeof L.errors.register === 'function') L.errors.register('LightTip', ERR); } catch(_) {}
+  // Listener/scrollbar teardown errors go to L.onError instead of being dropped
+  const report = (e, phase) => { if (L && L.reportError) L.reportError(e, { source: 'LightTip', phase }); };
   function mkLogger(ctx) {
-    const p = '[LightTip' + (ctx ? ':'+ctx : '') + ']';
+    const name = 'LightTip' + (ctx ? ':'+ctx : '');
+    let log = null;
+    try { log = L && L.log && L.log.ns ? L.log.ns(name) : null; } catch(_) {}
+    // older facades: no namespaces, prefix instead
+    const call = (lvl, a) => { try { if (log) log[lvl](...a); else if (L && L.log && L.log[lvl]) L.log[lvl]('[' + name + ']', ...a); } catch(_) {} };
     return {
-      info: (...a) => { try { L && L.log && L.log.info && L.log.info(p, ...a); } catch(_) {} },
-      warn: (...a) => { try { L && L.log && L.log.warn && L.log.warn(p, ...a); } catch(_) {} },
-      danger: (...a) => { try { L && L.log && L.log.danger && L.log.danger(p, ...a); } catch(_) {} },
+      debug: (...a) => call('debug', a),
+      info: (...a) => call('info', a),
+      warn: (...a) => call('warn', a),
+      danger: (...a) => call('danger', a),
     };
   }
 
@@ -208,6 +215,7 @@
     }
 
     _positionWithArrow(anchorRect) {
+      const span = L.perf.start('LightTip:position', { anchor: this.anchor && this.anchor.id });
       const size = this._measure();
       const pref = parsePlacement(this.opts.placement);
       let chosen = pref;
@@ -220,6 +228,7 @@
       }
       this._applyPosition(pos, chosen);
       this._positionArrow(anchorRect, size, chosen, pos);
+      span.end({ placement: chosen.side + '-' + chosen.align });
     }
 
     _positionArrow(anchorRect, tipSize, placement, tipPos) {
@@ -251,7 +260,7 @@
         : handler;
       targets.forEach(t => { const off = L.listenScroll(wrapped, t); this._scrollUnsubs.push(off); });
     }
-    _unbindScroll() { while (this._scrollUnsubs.length) { try { const off = this._scrollUnsubs.pop(); off && off(); } catch(_){} } }
+    _unbindScroll() { while (this._scrollUnsubs.length) { try { const off = this._scrollUnsubs.pop(); off && off(); } catch(e){ report(e, 'unbindScroll'); } } }
 
     _maybeInitScrollbar() {
       if (!this._inner) return;
@@ -261,13 +270,13 @@
       const needY = this._inner.scrollHeight > this._inner.clientHeight;
       const need = needX || needY;
       if (!need) { this._destroyScrollbar(); return; }
-      if (this._sb && this._sb.update) { try { this._sb.update(); } catch(_){} return; }
+      if (this._sb && this._sb.update) { try { this._sb.update(); } catch(e){ report(e, 'scrollbar:update'); } return; }
       if (!global.LightScrollbar) return;
       const axis = (opt && opt.axis) ? opt.axis : (needX && needY ? 'xy' : (needY ? 'y' : 'x'));
       const autoHide = (opt && Object.prototype.hasOwnProperty.call(opt,'autoHide')) ? !!opt.autoHide : true;
-      try { this._sb = new global.LightScrollbar(this._inner, { axis, autoHide }); } catch(_) {}
+      try { this._sb = new global.LightScrollbar(this._inner, { axis, autoHide }); } catch(e) { report(e, 'scrollbar:init'); }
     }
-    _destroyScrollbar() { if (this._sb && this._sb.destroy) { try { this._sb.destroy(); } catch(_){} } this._sb = null; }
+    _destroyScrollbar() { if (this._sb && this._sb.destroy) { try { this._sb.destroy(); } catch(e){ report(e, 'scrollbar:destroy'); } } this._sb = null; }
 
     show() {
       try { this._log.info('show'); } catch(_){}
@@ -339,9 +348,9 @@
       this._open = false;
       this._tipEl.classList.remove(CLS.visible);
       this._unbindScroll();
-      if (this._bodyClickOff) { try { this._bodyClickOff(); } catch(_){} this._bodyClickOff = null; }
-      if (this._resizeOff) { try { this._resizeOff(); } catch(_){} this._resizeOff = null; }
-      if (this._keyOff) { try { this._keyOff(); } catch(_){} this._keyOff = null; }
+      if (this._bodyClickOff) { try { this._bodyClickOff(); } catch(e){ report(e, 'hide'); } this._bodyClickOff = null; }
+      if (this._resizeOff) { try { this._resizeOff(); } catch(e){ report(e, 'hide'); } this._resizeOff = null; }
+      if (this._keyOff) { try { this._keyOff(); } catch(e){ report(e, 'hide'); } this._keyOff = null; }
       this._destroyScrollbar();
       if (isFn(this.opts.onHidden)) this.opts.onHidden(this.anchor, this._tipEl);
     }
@@ -364,7 +373,7 @@
       this._tipEl = this._inner = this._arrow = null;
       REG.delete(this);
       if (this.anchor && BY_ANCHOR.get(this.anchor) === this) BY_ANCHOR.delete(this.anchor);
-      if (this._moOff) { try { this._moOff(); } catch(_){} this._moOff = null; }
+      if (this._moOff) { try { this._moOff(); } catch(e){ report(e, 'destroy'); } this._moOff = null; }
       this.anchor = null;
     }
   }
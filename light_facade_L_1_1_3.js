@@ -1,7 +1,7 @@
 /*!
  * L (Light Facade) — modern DOM/HTTP/util facade
  * Global: window.L
- * No legacy shims, no jQuery bridge, no i18n.
+ * No legacy shims, no jQuery bridge.
  * Version: 1.1.3
  */
 (function (global) {
@@ -200,7 +200,7 @@
   const insertNodes = (parent, nodes, mode) => {
     const list = isArr(nodes) ? nodes : [nodes];
     const frag = document.createDocumentFragment();
-    list.forEach(n => frag.appendChild(isEl(n) ? n : document.createTextNode(String(n))));
+    list.forEach(n => frag.appendChild(n instanceof Node ? n : document.createTextNode(String(n))));
     if (mode === 'append') parent.appendChild(frag);
     else if (mode === 'prepend') parent.insertBefore(frag, parent.firstChild);
   };
@@ -501,7 +501,12 @@
     E_ALREADY_DESTRUCTED: 'Instance "{{cls}}" for #{{id}} already destructed',
     E_DESTRUCT_IN_PROGRESS: 'Destruction already in progress for "{{cls}}" #{{id}}',
     E_NO_ROOT: 'Root element is required for "{{cls}}"',
-    E_ASSERT_FAILED: 'Assertion failed: {{message}}'
+    E_ASSERT_FAILED: 'Assertion failed: {{message}}',
+    E_HTTP_STATUS: 'HTTP {{status}} ({{method}} {{url}})',
+    E_HTTP_NETWORK: 'Network error ({{method}} {{url}})',
+    E_HTTP_TIMEOUT: 'Timeout after {{timeout}}ms ({{method}} {{url}})',
+    E_HTTP_ABORTED: 'Request aborted ({{method}} {{url}})',
+    E_UPLOAD_CANCELLED: 'Upload of "{{name}}" cancelled'
   };
 
   // Class-scoped error registries
@@ -517,6 +522,63 @@
     }
     return Object.freeze(Object.assign({}, store));
   };
+  // Same registry under the name LightTip/LightScrollbar call (not enumerable: L.errors stays a code map)
+  Object.defineProperty(L.errors, 'register', { value: (ns, map, opts) => L.registerErrors(ns, map, opts) });
+
+  // 'Ns.CODE' → that namespace; a bare code → core L.errors, then the first namespace defining it.
+  // Returns { namespace, code, template } (template '' when unknown).
+  const resolveErrorCode = (code) => {
+    const c = String(code || 'E_ASSERT_FAILED');
+    const dot = c.indexOf('.');
+    if (dot > 0) {
+      const ns = c.slice(0, dot), k = c.slice(dot + 1);
+      return { namespace: ns, code: k, template: (L._errorsByNs[ns] && L._errorsByNs[ns][k]) || '' };
+    }
+    if (isStr(L.errors[c])) return { namespace: 'L', code: c, template: L.errors[c] };
+    for (const ns of Object.keys(L._errorsByNs)) {
+      if (L._errorsByNs[ns][c]) return { namespace: ns, code: c, template: L._errorsByNs[ns][c] };
+    }
+    return { namespace: 'L', code: c, template: '' };
+  };
+
+  // Message for a code; translations live in the i18n 'errors' namespace:
+  // L.i18n.add('pl', 'errors', { E_NO_ELEMENT: '…', LightBase: { OPTION_REQUIRED: '…' } })
+  const errorMessage = (code, info = {}) => {
+    const r = resolveErrorCode(code);
+    const key = 'errors:' + (r.namespace === 'L' ? r.code : `${r.namespace}.${r.code}`);
+    if (L.i18n && L.i18n.exists(key)) return L.i18n.t(key, info);
+    return L.interpolate(r.template || '{{message}}', info);
+  };
+
+  // Error with code (as passed, e.g. 'LightBase.OPTION_TYPE'), namespace, info and cause
+  class LightError extends Error {
+    constructor(code, info = {}, cause) {
+      const data = info == null ? {} : (isObj(info) ? info : { message: String(info) });
+      super(errorMessage(code, data));
+      this.name = 'LightError';
+      this.code = code || 'E_ASSERT_FAILED';
+      this.namespace = resolveErrorCode(this.code).namespace;
+      this.info = data;
+      if (cause !== undefined) this.cause = cause;
+    }
+  }
+
+  // Error sink: fn(err, context) where context = { source, phase, ... }; returns unsubscribe.
+  // Without sinks, reported errors go to L.log.danger.
+  const errorSinks = new Set();
+  L.onError = (fn) => {
+    errorSinks.add(fn);
+    return () => errorSinks.delete(fn);
+  };
+  L.reportError = (err, context = {}) => {
+    if (!errorSinks.size) {
+      (context.source ? L.log.ns(context.source) : L.log).danger(context.phase || 'error', err);
+      return;
+    }
+    for (const fn of Array.from(errorSinks)) {
+      try { fn(err, context); } catch (e) { L.log.danger('L.onError: sink failed', e); }
+    }
+  };
 
   // URL helpers
   L.url = {
@@ -561,68 +623,294 @@
     }
   };
 
-  // Logging
+  // Logging: records to transports, levels per namespace (?log=LightTip:info,*:warning)
   (function initLogging(){
-    const LEVELS = { off: 0, danger: 1, warning: 2, info: 3 };
-    let level = LEVELS.info;
-    const urlLevel = (L.url.get('log') || '').toLowerCase();
-    if (urlLevel && urlLevel in LEVELS) level = LEVELS[urlLevel];
-
-    const state = { level, prefix: '' };
+    const LEVELS = { off: 0, danger: 1, warning: 2, info: 3, debug: 4 };
+    const state = { level: LEVELS.info, prefix: '', levels: new Map(), transports: [] };
+
+    const parseLevels = (spec) => {
+      for (const part of String(spec || '').split(',')) {
+        const p = part.trim();
+        if (!p) continue;
+        const i = p.lastIndexOf(':');
+        const ns = i > 0 ? p.slice(0, i).trim() : '*';
+        const lvl = (i > 0 ? p.slice(i + 1) : p).trim().toLowerCase();
+        if (!(lvl in LEVELS)) continue;
+        if (ns === '*') state.level = LEVELS[lvl];
+        else state.levels.set(ns, LEVELS[lvl]);
+      }
+    };
+    parseLevels(L.url.get('log'));
 
-    const enabled = (lvl) => LEVELS[lvl] <= state.level && state.level !== LEVELS.off;
-    const format = (lvl, args) => {
-      const ts = L.time.stamp();
-      const pref = state.prefix ? `[${state.prefix}]` : '';
-      return [`${ts} [${lvl.toUpperCase()}]${pref}`, ...args];
+    const levelFor = (ns, parent) => {
+      if (ns) {
+        if (state.levels.has(ns)) return state.levels.get(ns);
+        const base = ns.split(/[#:]/)[0];
+        if (state.levels.has(base)) return state.levels.get(base);
+      }
+      if (parent && state.levels.has(parent)) return state.levels.get(parent);
+      return state.level;
     };
+    const enabled = (lvl, ns, parent) => LEVELS[lvl] > 0 && LEVELS[lvl] <= levelFor(ns, parent);
 
-    const call = (lvl, arglist) => {
-      if (!enabled(lvl)) return;
+    const toRecord = (lvl, ns, arglist) => {
       const first = arglist[0];
       const args = (typeof first === 'function') ? [first()] : arglist;
-      const out = format(lvl, args);
-      const fn = lvl === 'danger' ? console.error : (lvl === 'warning' ? console.warn : console.info);
-      try { fn.apply(console, out); } catch { console.log.apply(console, out); }
+      const message = typeof args[0] === 'string' ? args[0] : '';
+      const rest = typeof args[0] === 'string' ? args.slice(1) : args;
+      const rec = { level: lvl, ts: Date.now(), ns: ns || '', message, data: rest.length > 1 ? rest : rest[0] };
+      Object.defineProperty(rec, 'args', { value: rest }); // console keeps the original argument list
+      return rec;
+    };
+
+    const emit = (lvl, ns, parent, arglist) => {
+      if (!enabled(lvl, ns, parent)) return;
+      const rec = toRecord(lvl, ns, arglist);
+      for (const t of state.transports.slice()) {
+        if (t.level && LEVELS[lvl] > LEVELS[t.level]) continue;
+        try { t.write(rec); } catch (_) {} // a failing transport must not break the caller
+      }
+    };
+
+    // JSON-safe copy of record data: errors and elements are described, cycles cut
+    const serialize = (rec) => {
+      const seen = new WeakSet();
+      return JSON.parse(JSON.stringify(rec, (k, v) => {
+        if (v instanceof Error) return { name: v.name, message: v.message, code: v.code, stack: v.stack };
+        if (typeof Element !== 'undefined' && v instanceof Element) return `<${v.tagName.toLowerCase()}${v.id ? '#' + v.id : ''}>`;
+        if (isFn(v)) return undefined;
+        if (isObj(v)) { if (seen.has(v)) return '[circular]'; seen.add(v); }
+        return v;
+      }));
+    };
+
+    const transports = {
+      console(opts = {}) {
+        return {
+          name: 'console', level: opts.level,
+          write(rec) {
+            const pref = (state.prefix ? `[${state.prefix}]` : '') + (rec.ns ? `[${rec.ns}]` : '');
+            const out = [`${L.time.stamp()} [${rec.level.toUpperCase()}]${pref}`];
+            if (rec.message) out.push(rec.message);
+            out.push(...(rec.args || (rec.data === undefined ? [] : [rec.data])));
+            const fn = rec.level === 'danger' ? console.error : (rec.level === 'warning' ? console.warn : (rec.level === 'debug' ? console.debug : console.info));
+            try { fn.apply(console, out); } catch { console.log.apply(console, out); }
+          }
+        };
+      },
+
+      // Last `size` records for bug reports: records(), dump() (JSON), clear()
+      ring(opts = {}) {
+        const size = opts.size || 500;
+        const buf = [];
+        return {
+          name: 'ring', level: opts.level || 'debug',
+          write(rec) { buf.push(rec); if (buf.length > size) buf.shift(); },
+          records: () => buf.slice(),
+          dump: () => JSON.stringify(buf.map(serialize)),
+          clear() { buf.length = 0; }
+        };
+      },
+
+      // Batched POST of serialized records via navigator.sendBeacon (fetch keepalive fallback).
+      // Flushes at `batch` records, every `interval` ms and when the page is hidden.
+      beacon(opts = {}) {
+        L.assert(!!opts.url, 'E_ASSERT_FAILED', { message: 'log beacon transport requires url' });
+        const batch = opts.batch || 20, interval = opts.interval || 10000;
+        let queue = [], timer = null;
+        const flush = () => {
+          if (timer) { clearTimeout(timer); timer = null; }
+          if (!queue.length) return;
+          const body = JSON.stringify(queue.map(serialize));
+          queue = [];
+          const blob = new Blob([body], { type: 'application/json' });
+          const sent = navigator.sendBeacon ? navigator.sendBeacon(opts.url, blob) : false;
+          if (!sent) { try { fetch(opts.url, { method: 'POST', body, keepalive: true, headers: { 'Content-Type': 'application/json' } }).catch(() => {}); } catch (_) {} }
+        };
+        const onHide = () => { if (document.visibilityState === 'hidden') flush(); };
+        document.addEventListener('visibilitychange', onHide);
+        global.addEventListener('pagehide', flush);
+        return {
+          name: 'beacon', level: opts.level || 'warning',
+          write(rec) {
+            queue.push(rec);
+            if (queue.length >= batch) flush();
+            else if (!timer) timer = setTimeout(flush, interval);
+          },
+          flush,
+          dispose() {
+            flush();
+            document.removeEventListener('visibilitychange', onHide);
+            global.removeEventListener('pagehide', flush);
+          }
+        };
+      }
     };
+    state.transports.push(transports.console());
+
+    // Logger bound to a namespace; parent is consulted for levels after the namespace itself
+    const scoped = (ns, { parent } = {}) => ({
+      ns,
+      isEnabled: (lvl) => enabled(lvl, ns, parent),
+      debug: (...args) => emit('debug', ns, parent, args),
+      info: (...args) => emit('info', ns, parent, args),
+      warn: (...args) => emit('warning', ns, parent, args),
+      danger: (...args) => emit('danger', ns, parent, args)
+    });
 
     L.log = {
       configure(opts = {}) {
-        if (opts.level) {
-          const l = String(opts.level).toLowerCase();
-          if (l in LEVELS) state.level = LEVELS[l];
-        }
+        if (opts.level) parseLevels(opts.level);
+        if (opts.levels) for (const ns of Object.keys(opts.levels)) parseLevels(`${ns}:${opts.levels[ns]}`);
         if (opts.prefix !== undefined) state.prefix = String(opts.prefix || '');
       },
-      level: () => Object.entries(LEVELS).find(([k,v]) => v === state.level)?.[0] || 'off',
-      isEnabled(lvl) { return enabled(lvl); },
-      info(...args) { call('info', args); },
-      warn(...args) { call('warning', args); },
-      danger(...args) { call('danger', args); }
+      level: (ns, parent) => Object.entries(LEVELS).find(([k,v]) => v === (ns ? levelFor(ns, parent) : state.level))?.[0] || 'off',
+      setLevel(ns, lvl) { parseLevels(lvl === undefined ? ns : `${ns}:${lvl}`); },
+      isEnabled(lvl, ns) { return enabled(lvl, ns); },
+      ns: scoped,
+      debug(...args) { emit('debug', '', null, args); },
+      info(...args) { emit('info', '', null, args); },
+      warn(...args) { emit('warning', '', null, args); },
+      danger(...args) { emit('danger', '', null, args); },
+
+      // Add a transport ({ write(rec), level? } or a built-in); returns a remover
+      addTransport(t) {
+        state.transports.push(t);
+        return () => L.log.removeTransport(t);
+      },
+      removeTransport(t) {
+        const i = state.transports.findIndex(x => x === t || (isStr(t) && x.name === t));
+        if (i < 0) return false;
+        const [gone] = state.transports.splice(i, 1);
+        if (gone && isFn(gone.dispose)) gone.dispose();
+        return true;
+      },
+      transports
     };
 
     L.log.LEVELS = LEVELS;
   })();
 
+  // Perf spans on the User Timing API ('L:<name>' measures); off unless ?perf=on / L.perf.enable()
+  L.perf = (() => {
+    const MAX = 2000;
+    const spans = [];
+    const marks = new Map();
+    const hasUT = typeof performance !== 'undefined' && isFn(performance.mark) && isFn(performance.measure);
+    const clock = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+    let enabled = ['on', '1', 'true'].includes(L.url.get('perf'));
+
+    const record = (name, start, end, data) => {
+      const span = { name, cat: name.split(':')[0], start, duration: end - start, data: data || {} };
+      spans.push(span);
+      if (spans.length > MAX) spans.shift();
+      if (hasUT) { try { performance.measure('L:' + name, { start, end, detail: span.data }); } catch (_) {} } // UT level 2 only
+      return span;
+    };
+
+    const select = (filter) => {
+      if (!filter) return spans.slice();
+      if (isFn(filter)) return spans.filter(filter);
+      return spans.filter(s => s.name === filter || s.cat === filter || s.name.startsWith(filter + ':'));
+    };
+
+    const round = (n) => Math.round(n * 100) / 100;
+
+    const api = {
+      enable(on = true) { enabled = !!on; },
+      isEnabled: () => enabled,
+      now: clock,
+
+      // Named point in time; returns the timestamp (ms since time origin)
+      mark(name) {
+        const t = clock();
+        if (!enabled) return t;
+        marks.set(name, t);
+        if (hasUT) { try { performance.mark('L:' + name); } catch (_) {} }
+        return t;
+      },
+
+      // Span between two marks (names or timestamps); end defaults to now
+      measure(name, start, end, data) {
+        if (!enabled) return null;
+        const t0 = isStr(start) ? marks.get(start) : start;
+        const t1 = end == null ? clock() : (isStr(end) ? marks.get(end) : end);
+        if (typeof t0 !== 'number' || typeof t1 !== 'number') return null;
+        return record(name, t0, t1, data);
+      },
+
+      // Open a span; span.end(extraData) records it once
+      start(name, data) {
+        if (!enabled) return { end: () => null };
+        const t0 = clock();
+        let done = false;
+        return { end(extra) { if (done) return null; done = true; return record(name, t0, clock(), extend({}, data, extra)); } };
+      },
+
+      // Time fn (sync or returning a promise)
+      time(name, fn, data) {
+        const span = api.start(name, data);
+        let out;
+        try { out = fn(); } catch (e) { span.end({ error: true }); throw e; }
+        if (out && isFn(out.then)) return out.then((v) => { span.end(); return v; }, (e) => { span.end({ error: true }); throw e; });
+        span.end();
+        return out;
+      },
+
+      // Recorded spans; filter = name, category or predicate
+      entries: select,
+
+      // { name: { count, total, mean, min, max, p95 } } in ms
+      summary(filter) {
+        const groups = Object.create(null);
+        for (const s of select(filter)) (groups[s.name] || (groups[s.name] = [])).push(s.duration);
+        const out = {};
+        for (const name of Object.keys(groups)) {
+          const d = groups[name].sort((a, b) => a - b);
+          const total = d.reduce((a, b) => a + b, 0);
+          out[name] = {
+            count: d.length, total: round(total), mean: round(total / d.length),
+            min: round(d[0]), max: round(d[d.length - 1]), p95: round(d[Math.min(d.length - 1, Math.ceil(d.length * 0.95) - 1)])
+          };
+        }
+        return out;
+      },
+
+      // Chrome trace-event format (load in devtools Performance or about:tracing)
+      toTrace(filter) {
+        return {
+          displayTimeUnit: 'ms',
+          traceEvents: select(filter).map(s => ({
+            name: s.name, cat: s.cat, ph: 'X', pid: 1, tid: 1,
+            ts: Math.round(s.start * 1000), dur: Math.round(s.duration * 1000), args: s.data
+          }))
+        };
+      },
+      exportTrace(filter) { return JSON.stringify(api.toTrace(filter)); },
+
+      clear() {
+        spans.length = 0;
+        marks.clear();
+        if (hasUT && isFn(performance.getEntriesByType)) {
+          for (const e of performance.getEntriesByType('measure').concat(performance.getEntriesByType('mark'))) {
+            if (e.name.startsWith('L:')) { try { performance.clearMeasures(e.name); performance.clearMarks(e.name); } catch (_) {} }
+          }
+        }
+      }
+    };
+    return api;
+  })();
+
   // Assertions
   L.assert = function(cond, code, dataOrMessage) {
     if (cond) return;
-    let tpl = '';
-    if (code && typeof code === 'string' && code.includes('.')) {
-      const ns = code.split('.')[0];
-      const c = code.slice(ns.length + 1);
-      tpl = (L._errorsByNs && L._errorsByNs[ns] && L._errorsByNs[ns][c]) || '';
-    }
-    if (!tpl) tpl = (L.errors && L.errors[code]) || '{{message}}';
     const data = (typeof dataOrMessage === 'object' && dataOrMessage !== null)
       ? dataOrMessage
       : { message: String(dataOrMessage || code || 'Assertion failed') };
-    const msg = L.interpolate(tpl, data);
-    const err = new Error(msg);
-    err.code = code || 'E_ASSERT_FAILED';
-    err.info = data;
-    throw err;
+    throw new LightError(code || 'E_ASSERT_FAILED', data);
   };
+  L.LightError = LightError;
+  L.error = (code, info, cause) => new LightError(code, info, cause);
 
   // DOM helpers
   L.dom = {
@@ -631,7 +919,15 @@
     clear(el) {
       if (!el) return;
       while (el.firstChild) el.removeChild(el.firstChild);
-    }
+    },
+    // Patch el's children towards html/nodes in place (see morphChildren)
+    morph(el, content) {
+      if (!el) return el;
+      morphChildren(el, asNodes(content, el));
+      return el;
+    },
+    // Destruct LightBase instances owned by el or its descendants (deepest first)
+    destructOwned(el) { destructOwned(el); }
   };
 
   // Viewport helper
@@ -671,15 +967,121 @@
   L.mount = (node, container) => { L(container).append(node); return node; };
   L.portal = (node, newContainer) => { L(newContainer).append(node); return node; };
 
+  // Morph: keep matched nodes (by data-key/id, else position + tag); component-owned nodes are left alone
+  const nodeKey = (n) => (n.nodeType === 1 ? (n.getAttribute('data-key') || n.id || null) : null);
+
+  const destructOwned = (el) => {
+    const reg = global.t_lightinstances;
+    if (!reg || !el || el.nodeType !== 1) return;
+    const owned = toArray(el.querySelectorAll('[data-light-name]'));
+    if (el.hasAttribute('data-light-name')) owned.unshift(el);
+    // reverse document order: descendants before their owners
+    for (const node of owned.reverse()) {
+      const group = reg[node.getAttribute('data-light-name')];
+      const inst = group && node.id && group[node.id];
+      if (!inst || inst.isDestructing || inst.isDestructed) continue;
+      try { inst.destruct({ force: true }); } catch (e) { L.log.danger('L.dom.morph: destruct failed', node.id, e); }
+    }
+  };
+
+  const removeMorphed = (n) => { destructOwned(n); if (n.parentNode) n.parentNode.removeChild(n); };
+
+  const syncAttributes = (live, next) => {
+    for (const a of toArray(live.attributes)) {
+      if (!next.hasAttribute(a.name)) live.removeAttribute(a.name);
+    }
+    for (const a of toArray(next.attributes)) {
+      if (live.getAttribute(a.name) !== a.value) live.setAttribute(a.name, a.value);
+    }
+  };
+
+  const morphNode = (live, next) => {
+    if (live.nodeType !== 1) {
+      if (live.nodeValue !== next.nodeValue) live.nodeValue = next.nodeValue;
+      return;
+    }
+    if (live.hasAttribute('data-light-name')) return; // component-owned subtree
+    syncAttributes(live, next);
+    const tag = live.tagName;
+    const focused = live === document.activeElement;
+    if (tag === 'INPUT') {
+      if (!focused) {
+        if (live.value !== next.value) live.value = next.value;
+        if (live.checked !== next.checked) live.checked = next.checked;
+      }
+      return;
+    }
+    if (tag === 'TEXTAREA') {
+      if (!focused && live.value !== next.value) live.value = next.value;
+      return;
+    }
+    if (tag === 'OPTION' && live.selected !== next.selected) live.selected = next.selected;
+    morphChildren(live, toArray(next.childNodes));
+  };
+
+  const sameKind = (a, b) => a.nodeType === b.nodeType && (a.nodeType !== 1 || a.tagName === b.tagName);
+
+  const holdsFocus = (n) => { const a = document.activeElement; return !!a && (n === a || n.contains(a)); };
+
+  const morphChildren = (parent, nextNodes) => {
+    const keyed = new Map();
+    for (const c of toArray(parent.childNodes)) { const k = nodeKey(c); if (k && !keyed.has(k)) keyed.set(k, c); }
+    // drop keyed nodes with no counterpart first, so matched ones rarely need moving
+    const claimed = new Set();
+    for (const next of nextNodes) {
+      const cand = keyed.get(nodeKey(next));
+      if (cand && sameKind(cand, next)) claimed.add(cand);
+    }
+    for (const [k, c] of keyed) if (!claimed.has(c)) { keyed.delete(k); removeMorphed(c); }
+    const used = new Set();
+    let cur = parent.firstChild;
+    for (const next of nextNodes) {
+      const k = nodeKey(next);
+      let match = null;
+      if (k) {
+        const cand = keyed.get(k);
+        if (cand && !used.has(cand) && sameKind(cand, next)) match = cand;
+      } else if (cur && !nodeKey(cur) && !used.has(cur) && sameKind(cur, next)) {
+        match = cur;
+      }
+      if (match) {
+        if (match !== cur) {
+          if (holdsFocus(match)) {
+            // moving the focused subtree would blur it: move what sits in front of it instead
+            const between = [];
+            for (let n = cur; n && n !== match; n = n.nextSibling) between.push(n);
+            const after = match.nextSibling;
+            for (const n of between) parent.insertBefore(n, after);
+          } else {
+            parent.insertBefore(match, cur);
+          }
+        }
+        morphNode(match, next);
+        used.add(match);
+        cur = match.nextSibling;
+      } else {
+        parent.insertBefore(next, cur);
+        used.add(next);
+      }
+    }
+    while (cur) {
+      const n = cur;
+      cur = cur.nextSibling;
+      if (!used.has(n)) removeMorphed(n);
+    }
+  };
+
   // Render
   L.render = (templateOrFn, data, target, mode = 'replace') => {
+    const span = L.perf.start('render', { mode });
+    try { return renderInto(templateOrFn, data, target, mode); } finally { span.end(); }
+  };
+  const renderInto = (templateOrFn, data, target, mode) => {
     let html = '';
     if (isFn(templateOrFn)) {
       html = String(templateOrFn(data || {}));
     } else if (isStr(templateOrFn)) {
-      const isId = templateOrFn.trim().startsWith('#');
-      const tpl = isId ? (document.querySelector(templateOrFn)?.innerHTML || '') : templateOrFn;
-      html = L.interpolate(tpl, data || {});
+      html = L.tpl.render(templateOrFn, data || {});
     } else {
       throw new Error('L.render: invalid template');
     }
@@ -690,6 +1092,7 @@
     else if (mode === 'prepend') $t.prepend(nodes);
     else if (mode === 'before') $t.before(nodes);
     else if (mode === 'after') $t.after(nodes);
+    else if (mode === 'morph') $t.each((i, el) => morphChildren(el, i ? nodes.map(n => n.cloneNode(true)) : nodes));
     else { $t.empty().append(nodes); }
     return $t;
   };
@@ -762,35 +1165,425 @@
     return p.toString();
   };
 
+  // fetch() with optional timeout; the caller's signal still aborts, timeout errors get .timedOut
   const fetchWithTimeout = async (url, options) => {
-    const { timeout } = options || {};
+    const { timeout, signal } = options || {};
     if (!timeout) return fetch(url, options);
     const ac = new AbortController();
-    const t = setTimeout(() => ac.abort(), timeout);
+    let timedOut = false;
+    const t = setTimeout(() => { timedOut = true; ac.abort(); }, timeout);
+    const relay = () => ac.abort();
+    if (signal) {
+      if (signal.aborted) ac.abort();
+      else signal.addEventListener('abort', relay, { once: true });
+    }
     try {
-      const resp = await fetch(url, extend({}, options, { signal: ac.signal }));
-      clearTimeout(t);
-      return resp;
+      return await fetch(url, extend({}, options, { signal: ac.signal }));
     } catch (e) {
-      clearTimeout(t);
+      if (timedOut) e.timedOut = true;
       throw e;
+    } finally {
+      clearTimeout(t);
+      if (signal) signal.removeEventListener('abort', relay);
     }
   };
 
-  L.ajax = async function (opts) {
-    const o = extend({
-      url: '',
-      method: 'GET',
-      data: null,
-      headers: {},
-      timeout: 0,
-      responseType: 'json', // 'json' | 'text' | 'blob' | 'arrayBuffer' | 'auto'
-      withCredentials: false,
-      retries: 0,
-      cacheBust: false,
-      onProgress: null, // triggers XHR path
-      signal: undefined
-    }, opts || {});
+  // Response headers (Headers | raw XHR string | object) -> plain object with lower-case keys
+  const headersToObject = (h) => {
+    const out = {};
+    if (!h) return out;
+    if (isStr(h)) {
+      h.trim().split(/[\r\n]+/).forEach(line => {
+        const i = line.indexOf(':');
+        if (i > 0) out[line.slice(0, i).trim().toLowerCase()] = line.slice(i + 1).trim();
+      });
+    } else if (isFn(h.forEach)) {
+      h.forEach((v, k) => { out[String(k).toLowerCase()] = v; });
+    } else {
+      for (const k in h) out[k.toLowerCase()] = h[k];
+    }
+    return out;
+  };
+
+  const parseBody = (text, contentType) => {
+    if (!text) return null;
+    if (/json/i.test(contentType || '') || /^\s*[[{]/.test(text)) {
+      try { return JSON.parse(text); } catch (_) {}
+    }
+    return text;
+  };
+
+  // Typed HTTP failure: status, code, parsed body (data), headers, url, method, attempt
+  class HttpError extends LightError {
+    constructor(code, info = {}) {
+      super(code, info, info.cause);
+      this.name = 'HttpError';
+      this.status = info.status || 0;
+      this.data = info.data === undefined ? null : info.data;
+      this.headers = info.headers || {};
+      this.url = info.url || '';
+      this.method = info.method || 'GET';
+      this.attempt = info.attempt || 1;
+    }
+  }
+
+  // Retry policy; per call via `retry` (object | number | false), `retries` kept as the count
+  const RETRY_DEFAULTS = {
+    count: 0,
+    methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+    statuses: [408, 429, 500, 502, 503, 504],
+    baseDelay: 300,
+    factor: 2,
+    maxDelay: 10000,
+    jitter: 0.5,          // 0..1 share of the delay that is randomised
+    retryAfter: true,     // honour Retry-After (seconds or HTTP date)
+    maxRetryAfter: 60000, // give up instead of waiting longer than this
+    shouldRetry: null     // (err, attempt, o) => boolean, overrides methods/statuses
+  };
+
+  const resolveRetry = (o, defaults) => {
+    const p = extend({}, defaults);
+    if (o.retries != null) p.count = o.retries | 0; // else retryDefaults.count applies
+    if (o.retry === false) p.count = 0;
+    else if (typeof o.retry === 'number') p.count = o.retry;
+    else if (isObj(o.retry)) extend(p, o.retry);
+    return p;
+  };
+
+  const retryAfterMs = (headers) => {
+    const v = headers && headers['retry-after'];
+    if (!v) return null;
+    const n = Number(v);
+    if (!isNaN(n)) return Math.max(0, n * 1000);
+    const t = Date.parse(v);
+    return isNaN(t) ? null : Math.max(0, t - now());
+  };
+
+  // Returns delay in ms before the next attempt, or -1 when the failure must not be retried
+  const retryDelay = (err, attempt, p, o) => {
+    if (attempt > p.count || err.code === 'E_HTTP_ABORTED') return -1;
+    const allowed = isFn(p.shouldRetry)
+      ? !!p.shouldRetry(err, attempt, o)
+      : p.methods.map(m => String(m).toUpperCase()).includes(err.method) &&
+        (err.code === 'E_HTTP_NETWORK' || err.code === 'E_HTTP_TIMEOUT' || p.statuses.includes(err.status));
+    if (!allowed) return -1;
+    let ms = Math.min(p.maxDelay, p.baseDelay * Math.pow(p.factor, attempt - 1));
+    if (p.jitter) ms = ms * (1 - p.jitter) + Math.random() * ms * p.jitter;
+    if (p.retryAfter) {
+      const ra = retryAfterMs(err.headers);
+      if (ra != null) {
+        if (ra > p.maxRetryAfter) return -1;
+        ms = Math.max(ms, ra);
+      }
+    }
+    return Math.round(ms);
+  };
+
+  const abortableWait = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(new Error('aborted'));
+    const onAbort = () => { clearTimeout(t); reject(new Error('aborted')); };
+    const t = setTimeout(() => { if (signal) signal.removeEventListener('abort', onAbort); resolve(); }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+
+  // Interceptor stacks: use(fn) registers and returns an eject function
+  const createInterceptors = () => {
+    const stack = () => {
+      const list = [];
+      return {
+        use(fn) {
+          if (isFn(fn)) list.push(fn);
+          return () => { const i = list.indexOf(fn); if (i > -1) list.splice(i, 1); };
+        },
+        clear() { list.length = 0; },
+        list: () => list.slice()
+      };
+    };
+    return { request: stack(), response: stack(), error: stack() };
+  };
+
+  // Interceptor results: ctx.respond(res) short-circuits, ctx.retry(patch) re-issues the call
+  const IC_RESPOND = Symbol('L.ajax.respond');
+  const IC_RETRY = Symbol('L.ajax.retry');
+  const IC_MAX_RETRIES = 5;
+  const makeIcCtx = (attempt) => ({
+    attempt,
+    respond: (res) => ({ [IC_RESPOND]: extend({ status: 200, ok: true, headers: {}, data: null }, res || {}) }),
+    retry: (patch) => ({ [IC_RETRY]: patch || {} })
+  });
+
+  // Runs request -> transport -> response/error interceptors; retries restart from the original options
+  const dispatchAjax = async (send, chain, opts, attempt = 0) => {
+    const ctx = makeIcCtx(attempt);
+    const replay = (patch) => {
+      if (attempt >= IC_MAX_RETRIES) throw new Error('L.ajax: too many interceptor retries');
+      return dispatchAjax(send, chain, extend({}, opts, patch, { headers: extend({}, opts.headers, patch.headers) }), attempt + 1);
+    };
+
+    let o = extend({}, opts, { headers: extend({}, opts.headers) });
+    let res = null;
+    for (const fn of chain.request.list()) {
+      const r = await fn(o, ctx);
+      if (r && r[IC_RESPOND]) { res = r[IC_RESPOND]; break; }
+      if (isObj(r)) o = r;
+    }
+
+    if (!res) {
+      try {
+        res = await send(o);
+      } catch (e) {
+        let err = e;
+        for (const fn of chain.error.list()) {
+          let r;
+          try { r = await fn(err, o, ctx); } catch (e2) { err = e2; continue; }
+          if (r && r[IC_RETRY]) return replay(r[IC_RETRY]);
+          if (r && r[IC_RESPOND]) { res = r[IC_RESPOND]; break; }
+        }
+        if (!res) throw err;
+      }
+    }
+
+    for (const fn of chain.response.list()) {
+      const r = await fn(res, o, ctx);
+      if (r && r[IC_RETRY]) return replay(r[IC_RETRY]);
+      if (r && r[IC_RESPOND]) res = r[IC_RESPOND];
+      else if (isObj(r)) res = r;
+    }
+    return res;
+  };
+
+  const appendQuery = (url, data) => {
+    const qs = isObj(data) ? serializeQuery(data) : String(data);
+    return qs ? url + (url.includes('?') ? '&' : '?') + qs : url;
+  };
+
+  // HTTP cache for GET: opt-in per call via `cache`, in-flight dedupe via `dedupe` (on when cache is on)
+  const CACHE_DEFAULTS = {
+    ttl: 60000,        // fresh for this long
+    maxStale: 300000,  // afterwards kept this long for ETag/Last-Modified revalidation
+    swr: true,         // serve stale immediately and revalidate in background
+    storage: 'memory', // 'memory' | 'local' | 'session' (the latter two via L.store)
+    maxEntries: 200,   // memory storage: expired, then least recently used entries are dropped beyond this
+    vary: ['Accept-Language', 'Authorization'], // request headers (after interceptors) that split the key
+    key: null          // (o, url) => string, defaults to the full request url plus a digest of `vary`
+  };
+  const CACHE_PREFIX = 'L.http:';
+  const CACHEABLE_TYPES = ['json', 'text', 'auto'];
+
+  const httpCache = (() => {
+    const mem = new Map();
+    const inflight = new Map();
+    let epoch = 0;
+
+    const scopeOf = (p) => ({ scope: p.storage === 'session' ? 'session' : 'local' });
+    const read = (key, p) => {
+      let entry = null;
+      if (p.storage === 'memory') {
+        entry = mem.get(key);
+        if (entry) { mem.delete(key); mem.set(key, entry); } // most recently used last
+      }
+      else try { entry = L.store.get(CACHE_PREFIX + key, scopeOf(p)); } catch (_) {} // storage disabled: go to the network
+      if (!entry) return null;
+      if (now() > entry.staleUntil) { if (p.storage === 'memory') mem.delete(key); return null; }
+      return entry;
+    };
+    const write = (key, entry, p) => {
+      if (p.storage === 'memory') {
+        mem.delete(key);
+        mem.set(key, entry);
+        const max = Math.max(1, p.maxEntries | 0 || CACHE_DEFAULTS.maxEntries);
+        if (mem.size > max) {
+          const ts = now();
+          for (const [k, e] of mem) if (ts > e.staleUntil) mem.delete(k);
+          for (const k of mem.keys()) { if (mem.size <= max) break; mem.delete(k); }
+        }
+        return;
+      }
+      try { L.store.set(CACHE_PREFIX + key, entry, extend({ ttl: entry.staleUntil - now() }, scopeOf(p))); } catch (_) {} // quota
+    };
+    const toEntry = (res, rt, p) => {
+      const headers = headersToObject(res.headers);
+      const ts = now();
+      return {
+        data: res.data, status: res.status, headers, rt,
+        etag: headers.etag || null, lastModified: headers['last-modified'] || null,
+        expires: ts + p.ttl, staleUntil: ts + p.ttl + p.maxStale
+      };
+    };
+    // Url first (invalidate() matches prefixes), then a digest so credentials never land in storage keys
+    const keyOf = (o, url, vary) => {
+      const h = headersToObject(o.headers);
+      const names = (isArr(vary) ? vary : []).map(n => String(n).toLowerCase()).filter(n => h[n]);
+      if (!names.length) return url;
+      const parts = names.map(n => `${n}=${h[n]}`).join('\n');
+      let d = 0x811c9dc5; // FNV-1a
+      for (let i = 0; i < parts.length; i++) d = Math.imul(d ^ parts.charCodeAt(i), 0x01000193);
+      return `${url} #${(d >>> 0).toString(36)}`;
+    };
+    const cloneData = (v) => { if (!isObj(v)) return v; try { return deepClone(v); } catch (_) { return v; } };
+    const cloneRes = (res) => extend({}, res, { data: cloneData(res.data) });
+    // same headers shape as the fetch transport that produced the entry
+    const headersOf = (h) => (typeof Headers === 'function' ? new Headers(h) : extend({}, h));
+    const fromEntry = (entry, stale) => ({ status: entry.status, ok: true, headers: headersOf(entry.headers), data: cloneData(entry.data), cached: true, stale });
+
+    // Network fetch for `key`; conditional when a stale entry is given, shared while in flight
+    const load = (send, o, key, entry, p, dedupe) => {
+      const ikey = `${o.responseType} ${key}`;
+      if (dedupe && inflight.has(ikey)) return inflight.get(ikey).then(cloneRes);
+      const started = epoch;
+      const cond = {};
+      if (entry && entry.etag) cond['If-None-Match'] = entry.etag;
+      if (entry && entry.lastModified) cond['If-Modified-Since'] = entry.lastModified;
+      const pr = send(extend({}, o, { headers: extend({}, o.headers, cond) })).then(res => {
+        if (p && epoch === started) write(key, toEntry(res, o.responseType, p), p);
+        return res;
+      }, err => {
+        if (!entry || err.status !== 304) throw err;
+        const ts = now();
+        const renewed = extend({}, entry, { expires: ts + p.ttl, staleUntil: ts + p.ttl + p.maxStale });
+        if (epoch === started) write(key, renewed, p);
+        return fromEntry(renewed, false);
+      });
+      if (dedupe) {
+        inflight.set(ikey, pr);
+        const done = () => { if (inflight.get(ikey) === pr) inflight.delete(ikey); };
+        pr.then(done, done);
+      }
+      return pr.then(cloneRes);
+    };
+
+    const invalidate = (prefix = '') => {
+      const pre = String(prefix);
+      epoch++;
+      let n = 0;
+      for (const k of Array.from(mem.keys())) if (k.startsWith(pre)) { mem.delete(k); n++; }
+      for (const k of Array.from(inflight.keys())) if (k.slice(k.indexOf(' ') + 1).startsWith(pre)) inflight.delete(k);
+      for (const area of [global.localStorage, global.sessionStorage]) {
+        if (!area) continue;
+        try {
+          for (let i = area.length - 1; i >= 0; i--) {
+            const k = area.key(i);
+            if (k && k.startsWith(CACHE_PREFIX + pre)) { area.removeItem(k); n++; }
+          }
+        } catch (_) {} // storage disabled
+      }
+      return n;
+    };
+
+    // Wraps a transport (o -> Promise<response>) with cache, dedupe and `invalidate` handling
+    const wrap = (send) => async (o) => {
+      const method = String(o.method).toUpperCase();
+      if (method !== 'GET') {
+        const res = await send(o);
+        if (o.invalidate) (isArr(o.invalidate) ? o.invalidate : [o.invalidate]).forEach(invalidate);
+        return res;
+      }
+      const p = o.cache ? extend({}, L.http.cacheDefaults, isObj(o.cache) ? o.cache : {}) : null;
+      const dedupe = (o.dedupe != null ? !!o.dedupe : !!p) && !o.signal;
+      if ((!p && !dedupe) || o.cacheBust || o.onProgress || !CACHEABLE_TYPES.includes(o.responseType)) return send(o);
+      const url = o.data ? appendQuery(o.url, o.data) : o.url;
+      const key = p && isFn(p.key) ? String(p.key(o, url)) : keyOf(o, url, p ? p.vary : L.http.cacheDefaults.vary);
+      const entry = p ? read(key, p) : null;
+      if (entry && entry.rt === o.responseType) {
+        if (now() < entry.expires) return fromEntry(entry, false);
+        if (!p.swr) return load(send, o, key, entry, p, dedupe);
+        load(send, o, key, entry, p, true).catch(() => {});
+        return fromEntry(entry, true);
+      }
+      return load(send, o, key, null, p, dedupe);
+    };
+
+    return { wrap, invalidate };
+  })();
+
+  // ---------- Transports ----------
+  // (prepared request) => Promise<{ status, ok, headers, data }> | HttpError; set via `transport` or L.http.transport
+  const httpFail = (req, code, extra) => new HttpError(code, extend({ url: req.url, method: req.method, attempt: req.attempt }, extra));
+
+  const xhrTransport = (req) => new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open(req.method, req.url, true);
+    if (req.withCredentials) xhr.withCredentials = true;
+    for (const k in req.headers) xhr.setRequestHeader(k, req.headers[k]);
+    const rt = req.responseType;
+    if (rt && rt !== 'auto' && rt !== 'json' && rt !== 'text') xhr.responseType = rt;
+    let timedOut = false;
+    const to = req.timeout ? setTimeout(() => { timedOut = true; xhr.abort(); reject(httpFail(req, 'E_HTTP_TIMEOUT', { timeout: req.timeout })); }, req.timeout) : null;
+
+    xhr.onload = () => {
+      if (to) clearTimeout(to);
+      const status = xhr.status;
+      if (status >= 200 && status < 300) {
+        let data = xhr.response;
+        if (rt === 'json' || (rt === 'auto' && xhr.getResponseHeader('Content-Type')?.includes('application/json'))) {
+          try { data = JSON.parse(xhr.responseText); } catch (_) {}
+        } else if (rt === 'text') {
+          data = xhr.responseText;
+        }
+        resolve({ status, ok: true, headers: xhr.getAllResponseHeaders(), data, xhr });
+      } else {
+        const text = (!xhr.responseType || xhr.responseType === 'text') ? xhr.responseText : '';
+        reject(httpFail(req, 'E_HTTP_STATUS', {
+          status,
+          data: text ? parseBody(text, xhr.getResponseHeader('Content-Type')) : xhr.response,
+          headers: headersToObject(xhr.getAllResponseHeaders())
+        }));
+      }
+    };
+    xhr.onerror = () => { if (to) clearTimeout(to); reject(httpFail(req, 'E_HTTP_NETWORK')); };
+    xhr.onabort = () => { if (to) clearTimeout(to); if (!timedOut) reject(httpFail(req, 'E_HTTP_ABORTED')); };
+    if (isFn(req.onProgress)) {
+      xhr.upload && xhr.upload.addEventListener('progress', req.onProgress);
+      xhr.addEventListener('progress', req.onProgress);
+    }
+    xhr.send(req.body);
+    if (req.signal) {
+      if (req.signal.aborted) xhr.abort();
+      else req.signal.addEventListener('abort', () => xhr.abort(), { once: true });
+    }
+  });
+
+  const fetchTransport = async (req) => {
+    let resp;
+    try {
+      resp = await fetchWithTimeout(req.url, {
+        method: req.method,
+        headers: req.headers,
+        body: req.body,
+        credentials: req.withCredentials ? 'include' : 'same-origin',
+        signal: req.signal,
+        timeout: req.timeout
+      });
+    } catch (e) {
+      if (e && e.timedOut) throw httpFail(req, 'E_HTTP_TIMEOUT', { timeout: req.timeout, cause: e });
+      if (e && e.name === 'AbortError') throw httpFail(req, 'E_HTTP_ABORTED', { cause: e });
+      throw httpFail(req, 'E_HTTP_NETWORK', { cause: e });
+    }
+    if (!resp.ok) {
+      let text = '';
+      try { text = await resp.text(); } catch (_) {}
+      throw httpFail(req, 'E_HTTP_STATUS', {
+        status: resp.status,
+        data: parseBody(text, resp.headers.get('Content-Type')),
+        headers: headersToObject(resp.headers)
+      });
+    }
+    let data;
+    const ct = resp.headers.get('Content-Type') || '';
+    const rt = req.responseType;
+    if (rt === 'json' || (rt === 'auto' && ct.includes('application/json'))) data = await resp.json();
+    else if (rt === 'text') data = await resp.text();
+    else if (rt === 'blob') data = await resp.blob();
+    else if (rt === 'arrayBuffer') data = await resp.arrayBuffer();
+    else if (rt === 'stream') data = resp.body;
+    else data = await resp.text();
+    return { status: resp.status, ok: resp.ok, headers: resp.headers, data, resp };
+  };
+
+  // XHR path if onProgress provided
+  const defaultTransport = (req) => (req.onProgress ? xhrTransport(req) : fetchTransport(req));
+
+  const sendAjax = async function (o) {
     if (!o.url) throw new Error('L.ajax: url required');
 
     // cache bust
@@ -807,8 +1600,7 @@
 
     if (o.data) {
       if (upper === 'GET' || upper === 'HEAD') {
-        const qs = isObj(o.data) ? serializeQuery(o.data) : String(o.data);
-        if (qs) url += (url.includes('?') ? '&' : '?') + qs;
+        url = appendQuery(url, o.data);
       } else {
         // pick best body
         if (o.data instanceof FormData || o.data instanceof Blob) {
@@ -823,163 +1615,1445 @@
       }
     }
 
-    // XHR path if onProgress provided
-    const attemptXHR = !!o.onProgress;
-    const attempt = async () => {
-      if (attemptXHR) {
-        const xhr = new XMLHttpRequest();
-        const p = new Promise((resolve, reject) => {
-          xhr.open(upper, url, true);
-          if (o.withCredentials) xhr.withCredentials = true;
-          for (const k in headers) xhr.setRequestHeader(k, headers[k]);
-          const rt = o.responseType;
-          if (rt && rt !== 'auto' && rt !== 'json' && rt !== 'text') xhr.responseType = rt;
-          const to = o.timeout ? setTimeout(() => { xhr.abort(); reject(new Error('L.ajax: timeout')); }, o.timeout) : null;
-
-          xhr.onload = () => {
-            if (to) clearTimeout(to);
-            const status = xhr.status;
-            if (status >= 200 && status < 300) {
-              let data = xhr.response;
-              if (o.responseType === 'json' || (o.responseType === 'auto' && xhr.getResponseHeader('Content-Type')?.includes('application/json'))) {
-                try { data = JSON.parse(xhr.responseText); } catch (_) {}
-              } else if (o.responseType === 'text') {
-                data = xhr.responseText;
-              }
-              resolve({ status, ok: true, headers: xhr.getAllResponseHeaders(), data, xhr });
-            } else {
-              reject(new Error(`HTTP ${status}`));
-            }
-          };
-          xhr.onerror = () => { if (to) clearTimeout(to); reject(new Error('Network error')); };
-          if (isFn(o.onProgress)) {
-            xhr.upload && xhr.upload.addEventListener('progress', o.onProgress);
-            xhr.addEventListener('progress', o.onProgress);
-          }
-          xhr.send(body);
-          if (o.signal) o.signal.addEventListener('abort', () => xhr.abort(), { once: true });
-        });
-        return p;
-      }
-
-      // fetch path
-      const resp = await fetchWithTimeout(url, {
-        method: upper,
-        headers,
-        body,
-        credentials: o.withCredentials ? 'include' : 'same-origin',
-        signal: o.signal
-      });
-      if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
-      let data;
-      const ct = resp.headers.get('Content-Type') || '';
-      const rt = o.responseType;
-      if (rt === 'json' || (rt === 'auto' && ct.includes('application/json'))) data = await resp.json();
-      else if (rt === 'text') data = await resp.text();
-      else if (rt === 'blob') data = await resp.blob();
-      else if (rt === 'arrayBuffer') data = await resp.arrayBuffer();
-      else data = await resp.text();
-      return { status: resp.status, ok: resp.ok, headers: resp.headers, data, resp };
+    const base = {
+      url, method: upper, headers, body, data: o.data,
+      timeout: o.timeout, responseType: o.responseType, withCredentials: o.withCredentials,
+      onProgress: o.onProgress, signal: o.signal
     };
-
+    const transport = o.transport || L.http.transport;
+    const policy = resolveRetry(o, L.http.retryDefaults);
     let attemptNo = 0;
     while (true) {
+      const req = extend({}, base, { attempt: ++attemptNo });
       try {
-        return await attempt();
+        return await transport(req);
       } catch (e) {
-        if (attemptNo++ < o.retries) continue;
-        throw e;
+        const ms = retryDelay(e, attemptNo, policy, o);
+        if (ms < 0) throw e;
+        try { await abortableWait(ms, o.signal); } catch (_) { throw httpFail(req, 'E_HTTP_ABORTED', { cause: e }); }
       }
     }
   };
 
-  L.get = (url, data, opts) => L.ajax(extend({ url, method: 'GET', data }, opts || {}));
-  L.post = (url, data, opts) => L.ajax(extend({ url, method: 'POST', data }, opts || {}));
-  L.json = (url, data, opts) => L.ajax(extend({ url, method: 'POST', data, headers: { 'Content-Type': 'application/json' }, responseType: 'json' }, opts || {}));
+  const cachedSendAjax = httpCache.wrap(sendAjax);
+
+  const AJAX_DEFAULTS = {
+    url: '',
+    baseURL: '',
+    method: 'GET',
+    data: null,
+    headers: {},
+    timeout: 0,
+    responseType: 'json', // 'json' | 'text' | 'blob' | 'arrayBuffer' | 'stream' (fetch only) | 'auto'
+    withCredentials: false,
+    retries: null, // attempts after the first; null = retryDefaults.count
+    retry: null, // object | number | false, see RETRY_DEFAULTS
+    cache: false, // true | object, see CACHE_DEFAULTS (GET only)
+    dedupe: null, // share identical in-flight GETs; defaults to !!cache
+    invalidate: null, // url prefix(es) dropped from the cache after a successful non-GET
+    cacheBust: false,
+    onProgress: null, // triggers XHR path
+    transport: null, // (req) => Promise<response>; falls back to L.http.transport
+    signal: undefined
+  };
 
-  L.serialize = (v) => {
-    if (v instanceof FormData) {
-      const o = {};
-      for (const [k, val] of v.entries()) setByPath(o, k, val);
-      return o;
-    }
-    if (isObj(v)) return serializeQuery(v);
-    return String(v);
+  const resolveURL = (base, url) => {
+    if (!base || !url || /^([a-z][a-z\d+.-]*:|\/\/)/i.test(url)) return url;
+    return String(base).replace(/\/+$/, '') + '/' + String(url).replace(/^\/+/, '');
   };
-  L.toFormData = toFormData;
 
-  // Forms
-  L.form = {
-    serialize(form, mode = 'object') {
-      if (!form) return mode === 'FormData' ? new FormData() : (mode === 'query' ? '' : {});
-      const fd = new FormData(form);
-      if (mode === 'FormData') return fd;
+  // Content-Length when sent, else the size of string/binary bodies (null when unknown)
+  const responseBytes = (res) => {
+    if (!res) return null;
+    const len = headersToObject(res.headers)['content-length']; // plain object, Headers or raw XHR string
+    if (len != null && len !== '') return Number(len);
+    const d = res.data;
+    if (isStr(d)) return d.length;
+    if (typeof Blob !== 'undefined' && d instanceof Blob) return d.size;
+    if (d && typeof d.byteLength === 'number') return d.byteLength;
+    return null;
+  };
 
-      const outObj = {};
-      for (const [k, v] of fd.entries()) {
-        const existing = getByPath(outObj, k);
-        if (existing === undefined) {
-          setByPath(outObj, k, v);
-        } else if (Array.isArray(existing)) {
-          existing.push(v);
-        } else {
-          setByPath(outObj, k, [existing, v]);
-        }
-      }
-      if (mode === 'object') return outObj;
-      if (mode === 'query') return serializeQuery(outObj);
-      return outObj;
-    },
-    deserialize(form, data) {
-      if (!form || !data) return;
-      const elements = form.elements;
-      for (const name of Object.keys(elements).filter(k => !isNaN(k))) {} // noop
-      Array.from(elements).forEach(el => {
-        if (!el.name) return;
-        const val = getByPath(data, el.name);
-        if (val == null) return;
-        if (el.type === 'checkbox') {
-          if (isArr(val)) el.checked = val.includes(el.value);
-          else el.checked = !!val && (val === true || val === 'on' || String(val) === el.value);
-        } else if (el.type === 'radio') {
-          el.checked = String(val) === el.value;
-        } else if (el.tagName === 'SELECT' && el.multiple && isArr(val)) {
-          Array.from(el.options).forEach(opt => opt.selected = val.includes(opt.value));
-        } else {
-          el.value = String(val);
-        }
+  // HTTP client: own defaults (baseURL, headers, timeout, ...) and interceptors per instance
+  const createHttp = (config = {}) => {
+    const defaults = extend({}, config, { headers: extend({}, config.headers) });
+    const interceptors = createInterceptors();
+
+    const request = (opts) => {
+      const o = extend({}, AJAX_DEFAULTS, defaults, opts || {}, {
+        headers: extend({}, defaults.headers, opts && opts.headers)
       });
-    },
-    reset(form) { form && form.reset && form.reset(); },
-    validate(form, rules = {}) {
-      const errors = {};
-      let valid = true;
-      Object.keys(rules).forEach(name => {
-        const fns = isArr(rules[name]) ? rules[name] : [rules[name]];
-        const el = form.elements[name];
-        const value = el ? (el.type === 'checkbox' ? (el.checked ? el.value : '') : el.value) : undefined;
-        for (const fn of fns) {
-          const res = fn(value, el, form);
-          if (res !== true) {
-            valid = false;
-            if (!errors[name]) errors[name] = [];
-            errors[name].push(res || 'Invalid');
-          }
-        }
+      o.url = resolveURL(o.baseURL, o.url);
+      const span = L.perf.start('http', { url: o.url, method: String(o.method).toUpperCase() });
+      return dispatchAjax(cachedSendAjax, interceptors, o).then((res) => {
+        span.end({ status: res && res.status, bytes: responseBytes(res) });
+        return res;
+      }, (e) => {
+        span.end({ status: (e && e.status) || 0, error: (e && e.code) || true });
+        throw e;
       });
-      return { valid, errors };
-    }
+    };
+
+    const client = { defaults, interceptors, request };
+    ['get', 'post', 'put', 'patch', 'delete', 'head', 'options'].forEach(m => {
+      client[m] = (url, data, opts) => request(extend({}, opts || {}, { url, method: m.toUpperCase() }, data != null ? { data } : {}));
+    });
+    client.create = (cfg = {}) => createHttp(extend({}, defaults, cfg, { headers: extend({}, defaults.headers, cfg.headers) }));
+    return client;
   };
 
-  // Objects / Arrays
-  L.extend = extend;
-  L.clone = (value, deep = true) => deep ? deepClone(value) : (isArr(value) ? value.slice() : (isObj(value) ? Object.assign({}, value) : value));
-  L.merge = (...arrays) => arrays.reduce((acc, a) => (acc.push(...a), acc), []);
-  L.unique = (array) => Array.from(new Set(array));
-  L.uniqueBy = (array, keyFn) => {
-    const map = new Map();
-    array.forEach(item => map.set(keyFn(item), item));
-    return Array.from(map.values());
+  L.http = createHttp();
+  L.http.cache = {
+    invalidate: (prefix) => httpCache.invalidate(prefix),
+    clear: () => httpCache.invalidate('')
+  };
+  L.http.retryDefaults = extend(true, {}, RETRY_DEFAULTS);
+  L.http.cacheDefaults = extend({}, CACHE_DEFAULTS);
+
+  L.http.transport = defaultTransport;
+  L.http.transports = { auto: defaultTransport, fetch: fetchTransport, xhr: xhrTransport };
+
+  // Mock transport: routes by method + url pattern (':param', '*' segment, or RegExp),
+  // fixtures with latency/status, simulated progress and timeouts, and a request history.
+  const compileRoute = (pattern) => {
+    if (pattern instanceof RegExp) return (url) => { const m = url.match(pattern); return m ? extend({}, m.groups) : null; };
+    const keys = [];
+    const src = String(pattern).split('/').map(seg => {
+      if (seg === '*') return '.*';
+      if (seg.startsWith(':')) { keys.push(seg.slice(1)); return '([^/]+)'; }
+      return seg.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*');
+    }).join('/');
+    const rx = new RegExp(`^${src}/?$`);
+    const absolute = /^[a-z][a-z\d+.-]*:\/\//i.test(pattern);
+    return (url, u) => {
+      const m = (absolute ? u.origin + u.pathname : u.pathname).match(rx);
+      if (!m) return null;
+      const params = {};
+      keys.forEach((k, i) => { params[k] = decodeURIComponent(m[i + 1]); });
+      return params;
+    };
+  };
+
+  const createMock = (opts = {}) => {
+    const cfg = extend({
+      latency: 0,        // ms or [min, max]
+      progressSteps: 4,  // onProgress events per direction
+      passthrough: false // unmatched requests go to the real transport instead of a 404
+    }, opts);
+    const routes = [];
+    const history = [];
+
+    const delayOf = (lat) => (isArr(lat) ? L.randomInt(lat[0], lat[1]) : (lat | 0));
+    const sizeOf = (b) => (b == null ? 0 : (isStr(b) ? b.length : (b.size || 0)));
+    const progress = async (req, total, upload, ms) => {
+      const steps = Math.max(1, cfg.progressSteps | 0);
+      for (let i = 1; i <= steps; i++) {
+        await abortableWait(ms / steps, req.signal);
+        req.onProgress({ type: 'progress', upload, lengthComputable: total > 0, loaded: Math.round(total * i / steps), total });
+      }
+    };
+
+    const transport = async (req) => {
+      const u = new URL(req.url, global.location ? global.location.href : 'http://localhost/');
+      const query = {};
+      u.searchParams.forEach((v, k) => { query[k] = k in query ? [].concat(query[k], v) : v; });
+      let route = null, params = null;
+      for (const r of routes) {
+        if (r.method !== '*' && r.method !== req.method) continue;
+        params = r.match(req.url, u);
+        if (params) { route = r; break; }
+      }
+      const rec = {
+        method: req.method, url: req.url, path: u.pathname, query, params: params || {},
+        headers: extend({}, req.headers), body: req.body, data: req.data, attempt: req.attempt, time: now()
+      };
+      history.push(rec);
+
+      if (!route) {
+        if (cfg.passthrough) return defaultTransport(req);
+        L.log.warn('L.http.mock: no route for', req.method, req.url);
+        throw httpFail(req, 'E_HTTP_STATUS', { status: 404, data: { error: 'No mock route' } });
+      }
+
+      const spec = extend({ status: 200, headers: {}, data: null }, isFn(route.handler) ? await route.handler(rec) : route.handler);
+      rec.status = spec.status;
+      const ms = delayOf(spec.latency != null ? spec.latency : cfg.latency);
+      try {
+        if (spec.timeout || (req.timeout && ms >= req.timeout)) {
+          await abortableWait(req.timeout || ms, req.signal);
+          throw httpFail(req, 'E_HTTP_TIMEOUT', { timeout: req.timeout || ms });
+        }
+        if (isFn(req.onProgress)) {
+          await progress(req, sizeOf(req.body), true, ms / 2);
+          await progress(req, sizeOf(isStr(spec.data) ? spec.data : JSON.stringify(spec.data)), false, ms / 2);
+        } else {
+          await abortableWait(ms, req.signal);
+        }
+      } catch (e) {
+        if (e instanceof HttpError) throw e;
+        throw httpFail(req, 'E_HTTP_ABORTED', { cause: e });
+      }
+      if (spec.network) throw httpFail(req, 'E_HTTP_NETWORK');
+
+      const headers = headersToObject(spec.headers);
+      let data = isObj(spec.data) ? deepClone(spec.data) : spec.data;
+      if (spec.status < 200 || spec.status >= 300) throw httpFail(req, 'E_HTTP_STATUS', { status: spec.status, data, headers });
+      if (req.responseType === 'text' && isObj(data)) data = JSON.stringify(data);
+      return { status: spec.status, ok: true, headers, data, mock: true };
+    };
+
+    const mock = {
+      transport,
+      history,
+      // handler: { status, data, headers, latency, timeout, network } or (req) => same (may be async)
+      on(method, pattern, handler) {
+        routes.push({ method: String(method || '*').toUpperCase(), match: compileRoute(pattern), handler });
+        return mock;
+      },
+      last: () => history[history.length - 1] || null,
+      calls: (method, pattern) => {
+        const match = pattern ? compileRoute(pattern) : null;
+        return history.filter(r => (!method || method === '*' || r.method === String(method).toUpperCase()) &&
+          (!match || match(r.url, new URL(r.url, global.location ? global.location.href : 'http://localhost/'))));
+      },
+      clearHistory() { history.length = 0; return mock; },
+      reset() { routes.length = 0; history.length = 0; return mock; },
+      // Route a client (default: every client without its own transport) through this mock; returns restore fn
+      install(client = L.http) {
+        const target = client === L.http ? L.http : client.defaults;
+        const prev = target.transport;
+        target.transport = transport;
+        return () => { if (target.transport === transport) target.transport = prev; };
+      }
+    };
+    ['get', 'post', 'put', 'patch', 'delete', 'head'].forEach(m => {
+      mock[m] = (pattern, handler) => mock.on(m, pattern, handler);
+    });
+    return mock;
+  };
+  L.http.mock = createMock;
+
+  // L.ajax is the default client's request(); both share interceptors, cache and policy defaults
+  L.ajax = (opts) => L.http.request(opts);
+  L.ajax.interceptors = L.http.interceptors;
+  L.ajax.retryDefaults = L.http.retryDefaults;
+  L.ajax.cacheDefaults = L.http.cacheDefaults;
+  L.ajax.cache = L.http.cache;
+  L.HttpError = HttpError;
+
+  // L.get is the path getter (see Objects below); use L.http.get for HTTP GET
+  L.post = (url, data, opts) => L.ajax(extend({ url, method: 'POST', data }, opts || {}));
+  L.json = (url, data, opts) => L.ajax(extend({ url, method: 'POST', data, headers: { 'Content-Type': 'application/json' }, responseType: 'json' }, opts || {}));
+
+  // ---------- Streaming: Server-Sent Events and chunked fetch readers ----------
+  // Both return a disposer function (usable with LightBase#addDisposer) carrying the stream API.
+  const backoffDelay = (tries, o) => {
+    const ms = Math.min(o.maxDelay, o.baseDelay * Math.pow(o.factor, tries));
+    return Math.round(ms / 2 + Math.random() * ms / 2);
+  };
+
+  L.stream = {
+    // EventSource with typed handlers (data, event), backoff reconnect and last-event-id resume
+    events(url, opts = {}) {
+      L.assert(typeof EventSource !== 'undefined', 'E_ASSERT_FAILED', 'L.stream.events: EventSource not supported');
+      const o = extend({
+        withCredentials: false,
+        parse: 'json',           // 'json' | 'text'
+        reconnect: true,
+        baseDelay: 1000, factor: 2, maxDelay: 30000,
+        lastEventId: null,       // resume point for the first connection
+        lastEventIdParam: 'lastEventId', // query param used on manual reconnects
+        on: null,                // { type: fn }
+        onOpen: null, onError: null
+      }, opts);
+
+      const handlers = new Map();  // type -> Set(fn)
+      const listeners = new Map(); // type -> EventSource listener
+      let es = null, timer = null, closed = false, tries = 0;
+      let lastEventId = o.lastEventId;
+
+      const decode = (raw) => {
+        if (o.parse !== 'json') return raw;
+        try { return JSON.parse(raw); } catch (_) { return raw; }
+      };
+      const listenerFor = (type) => {
+        if (!listeners.has(type)) {
+          listeners.set(type, (e) => {
+            if (e.lastEventId) lastEventId = e.lastEventId;
+            const data = decode(e.data);
+            for (const fn of Array.from(handlers.get(type) || [])) {
+              try { fn(data, e); } catch (err) { L.log.danger('L.stream.events: handler error', type, err); }
+            }
+          });
+        }
+        return listeners.get(type);
+      };
+
+      const connect = () => {
+        timer = null;
+        const target = lastEventId ? appendQuery(url, { [o.lastEventIdParam]: lastEventId }) : url;
+        es = new EventSource(target, { withCredentials: !!o.withCredentials });
+        es.onopen = (e) => { tries = 0; if (isFn(o.onOpen)) o.onOpen(e); };
+        es.onerror = (e) => {
+          if (isFn(o.onError)) o.onError(e);
+          // CONNECTING means the browser retries by itself (sending Last-Event-ID); CLOSED is final
+          if (closed || !o.reconnect || es.readyState !== 2) return;
+          es.close();
+          timer = setTimeout(connect, backoffDelay(tries++, o));
+        };
+        for (const type of handlers.keys()) es.addEventListener(type, listenerFor(type));
+      };
+
+      const stop = () => {
+        closed = true;
+        if (timer) clearTimeout(timer);
+        timer = null;
+        if (es) es.close();
+        handlers.clear();
+      };
+      stop.on = (type, fn) => {
+        if (!handlers.has(type)) {
+          handlers.set(type, new Set());
+          if (es) es.addEventListener(type, listenerFor(type));
+        }
+        handlers.get(type).add(fn);
+        return () => { const set = handlers.get(type); if (set) set.delete(fn); };
+      };
+      stop.close = stop;
+      stop.lastEventId = () => lastEventId;
+      stop.readyState = () => (closed ? 2 : (es ? es.readyState : 0));
+
+      if (isObj(o.on)) for (const type in o.on) stop.on(type, o.on[type]);
+      connect();
+      return stop;
+    },
+
+    // Incremental body reader (ndjson | lines | text) via L.http; onRecord or `for await`, stream.done at the end
+    read(url, opts = {}) {
+      const o = extend({ format: 'ndjson', onRecord: null, onError: null, client: L.http }, opts);
+      const ac = new AbortController();
+      if (o.signal) {
+        if (o.signal.aborted) ac.abort();
+        else o.signal.addEventListener('abort', () => ac.abort(), { once: true });
+      }
+
+      const queue = [];
+      let waiting = null, finished = false, failure = null;
+      const wake = () => { if (waiting) { const w = waiting; waiting = null; w(); } };
+      const emit = (rec) => {
+        if (isFn(o.onRecord)) o.onRecord(rec);
+        else { queue.push(rec); wake(); }
+      };
+      const emitLine = (line) => {
+        if (!line.trim()) return;
+        if (o.format !== 'ndjson') { emit(line); return; }
+        let rec;
+        try { rec = JSON.parse(line); } catch (e) {
+          if (isFn(o.onError)) o.onError(e, line);
+          else L.log.warn('L.stream.read: malformed NDJSON line skipped', line);
+          return;
+        }
+        emit(rec);
+      };
+
+      const req = extend({}, o, { url, responseType: 'stream', signal: ac.signal });
+      ['format', 'onRecord', 'onError', 'client'].forEach(k => delete req[k]);
+
+      const done = o.client.request(req).then(async (res) => {
+        const reader = res.data.getReader();
+        const dec = new TextDecoder();
+        let buf = '';
+        for (;;) {
+          const { value, done: end } = await reader.read();
+          if (end) break;
+          const chunk = dec.decode(value, { stream: true });
+          if (o.format === 'text') { if (chunk) emit(chunk); continue; }
+          buf += chunk;
+          const lines = buf.split(/\r?\n/);
+          buf = lines.pop();
+          lines.forEach(emitLine);
+        }
+        const tail = buf + dec.decode();
+        if (o.format === 'text') { if (tail) emit(tail); } else emitLine(tail);
+      }).catch((e) => {
+        if (ac.signal.aborted) return;
+        failure = e;
+        throw e;
+      }).finally(() => { finished = true; wake(); });
+
+      const stop = () => ac.abort();
+      stop.close = stop;
+      stop.done = done;
+      stop[Symbol.asyncIterator] = async function* () {
+        for (;;) {
+          if (queue.length) { yield queue.shift(); continue; }
+          if (failure) throw failure;
+          if (finished) return;
+          await new Promise(res => { waiting = res; });
+        }
+      };
+      // iteration surfaces failures; keep the bare promise from reporting them as unhandled
+      done.catch(() => {});
+      return stop;
+    },
+
+    ndjson(url, opts) { return L.stream.read(url, extend({}, opts, { format: 'ndjson' })); }
+  };
+
+  // ---------- WebSocket channel ----------
+  // JSON messages routed by `type` ('*' = all), buffered while disconnected
+  L.socket = (url, opts = {}) => {
+    L.assert(typeof WebSocket !== 'undefined', 'E_ASSERT_FAILED', 'L.socket: WebSocket not supported');
+    const o = extend({
+      protocols: undefined,
+      reconnect: true,
+      baseDelay: 1000, factor: 2, maxDelay: 30000,
+      maxRetries: Infinity,
+      heartbeat: 25000,          // ping interval (ms), 0 disables
+      heartbeatTimeout: 10000,   // no message within this after a ping -> reconnect
+      ping: { type: 'ping' },
+      pongType: 'pong',
+      bufferSize: 100,           // outgoing messages kept while disconnected (oldest dropped)
+      onOpen: null, onClose: null, onError: null
+    }, opts);
+
+    const handlers = new Map(); // type -> Set(fn)
+    const buffer = [];
+    const STATES = ['connecting', 'open', 'closing', 'closed'];
+    let ws = null, timer = null, hbTimer = null, pongTimer = null, closed = false, tries = 0;
+
+    const route = (type, msg, e) => {
+      for (const fn of Array.from(handlers.get(type) || [])) {
+        try { fn(msg, e); } catch (err) { L.log.danger('L.socket: handler error', type, err); }
+      }
+    };
+    const stopHeartbeat = () => {
+      if (hbTimer) clearInterval(hbTimer);
+      if (pongTimer) clearTimeout(pongTimer);
+      hbTimer = pongTimer = null;
+    };
+    const startHeartbeat = () => {
+      stopHeartbeat();
+      if (!o.heartbeat) return;
+      hbTimer = setInterval(() => {
+        if (!ws || ws.readyState !== 1) return;
+        ws.send(JSON.stringify(o.ping));
+        if (!pongTimer) pongTimer = setTimeout(() => {
+          pongTimer = null;
+          L.log.warn('L.socket: heartbeat timeout', url);
+          ws.close(4000, 'heartbeat timeout');
+        }, o.heartbeatTimeout);
+      }, o.heartbeat);
+    };
+    const flush = () => { while (buffer.length && ws && ws.readyState === 1) ws.send(buffer.shift()); };
+
+    const connect = () => {
+      timer = null;
+      const sock = ws = new WebSocket(url, o.protocols);
+      ws.onopen = (e) => {
+        tries = 0;
+        startHeartbeat();
+        flush();
+        if (isFn(o.onOpen)) o.onOpen(e);
+      };
+      ws.onmessage = (e) => {
+        if (pongTimer) { clearTimeout(pongTimer); pongTimer = null; } // any message proves liveness
+        let msg;
+        try { msg = JSON.parse(e.data); } catch (_) { L.log.warn('L.socket: non-JSON message ignored', url); return; }
+        if (!isObj(msg) || msg.type === o.pongType) return;
+        route(msg.type, msg, e);
+        route('*', msg, e);
+      };
+      ws.onerror = (e) => { if (isFn(o.onError)) o.onError(e); };
+      ws.onclose = (e) => {
+        if (isFn(o.onClose)) o.onClose(e);
+        if (sock !== ws) return; // superseded by reconnect()
+        stopHeartbeat();
+        if (closed || !o.reconnect || tries >= o.maxRetries) return;
+        timer = setTimeout(connect, backoffDelay(tries++, o));
+      };
+    };
+
+    const channel = (code, reason) => channel.close(code, reason);
+    channel.send = (typeOrMsg, data) => {
+      const msg = isStr(typeOrMsg) ? extend({ type: typeOrMsg }, data) : typeOrMsg;
+      const raw = JSON.stringify(msg);
+      if (ws && ws.readyState === 1) { ws.send(raw); return true; }
+      if (closed) return false;
+      buffer.push(raw);
+      if (buffer.length > o.bufferSize) buffer.shift();
+      return false;
+    };
+    channel.on = (type, fn) => {
+      if (!handlers.has(type)) handlers.set(type, new Set());
+      handlers.get(type).add(fn);
+      return () => channel.off(type, fn);
+    };
+    channel.off = (type, fn) => {
+      const set = handlers.get(type);
+      if (!set) return;
+      if (fn) set.delete(fn); else set.clear();
+      if (!set.size) handlers.delete(type);
+    };
+    channel.close = (code = 1000, reason = '') => {
+      closed = true;
+      if (timer) clearTimeout(timer);
+      timer = null;
+      stopHeartbeat();
+      buffer.length = 0;
+      handlers.clear();
+      if (ws && ws.readyState < 2) ws.close(code, reason);
+    };
+    channel.reconnect = () => {
+      if (closed) return;
+      if (timer) { clearTimeout(timer); timer = null; }
+      tries = 0;
+      stopHeartbeat();
+      const old = ws;
+      connect(); // right away, whatever the auto-reconnect policy
+      if (old && old.readyState < 2) old.close(4001, 'reconnect');
+    };
+    channel.state = () => (closed ? 'closed' : STATES[ws ? ws.readyState : 3]);
+    channel.buffered = () => buffer.length;
+
+    connect();
+    return channel;
+  };
+
+  // ---------- Chunked, resumable uploads ----------
+  // Protocol steps (ctx, http): init, status (resume), chunk, complete, abort; override via L.upload({ protocol })
+  const UPLOAD_PROTOCOL = {
+    async init(ctx, http) {
+      const { file } = ctx;
+      const res = await http.post(ctx.url,
+        { name: file.name, size: file.size, type: file.type, chunkSize: ctx.chunkSize, chunks: ctx.chunks, meta: ctx.meta },
+        { headers: { 'Content-Type': 'application/json' } });
+      return { uploadId: res.data.uploadId, received: res.data.received || [] };
+    },
+    async status(ctx, http) {
+      const res = await http.get(`${ctx.url}/${encodeURIComponent(ctx.uploadId)}`);
+      return { received: res.data.received || [] };
+    },
+    chunk(ctx, http, part) {
+      // object data -> toFormData; onProgress -> XHR path
+      return http.post(`${ctx.url}/${encodeURIComponent(ctx.uploadId)}`,
+        { index: part.index, offset: part.start, chunk: part.blob },
+        { onProgress: part.onProgress, signal: part.signal, retry: ctx.retry });
+    },
+    async complete(ctx, http) {
+      const res = await http.post(`${ctx.url}/${encodeURIComponent(ctx.uploadId)}/complete`,
+        { chunks: ctx.chunks }, { headers: { 'Content-Type': 'application/json' } });
+      return res.data;
+    },
+    abort(ctx, http) {
+      return http.delete(`${ctx.url}/${encodeURIComponent(ctx.uploadId)}`);
+    }
+  };
+
+  const isUploadProgress = (e) => e.upload === true ||
+    (typeof XMLHttpRequestUpload !== 'undefined' && e.target instanceof XMLHttpRequestUpload);
+
+  // Upload queue (one file at a time, `parallel` chunks each); returns a disposer with add/pause/resume/cancel/items
+  L.upload = (opts = {}) => {
+    const o = extend({
+      url: '',
+      client: L.http,
+      protocol: null,
+      chunkSize: 5 * 1024 * 1024,
+      parallel: 3,
+      chunkRetries: 3,
+      autoStart: true,
+      resumeTtl: 24 * 3600 * 1000, // keep upload ids in L.store to resume after reload; 0 disables
+      storePrefix: 'L.upload:',
+      meta: null,
+      onProgress: null,   // ({ loaded, total, percent }, item)
+      onFileDone: null,   // (item)
+      onFileError: null,  // (item, err)
+      onDone: null        // (items) when every file is done, failed or cancelled
+    }, opts);
+    L.assert(!!o.url, 'E_ASSERT_FAILED', 'L.upload: url required');
+    const protocol = extend({}, UPLOAD_PROTOCOL, o.protocol || {});
+    const items = [];
+    const deferreds = new Map(); // item -> { resolve, reject }
+    let running = false, paused = false;
+
+    const chunkLen = (item, i) => Math.min(o.chunkSize, item.file.size - i * o.chunkSize);
+    const storeKey = (item) => o.storePrefix + [o.url, item.file.name, item.file.size, item.file.lastModified || 0].join('|');
+    const ctxOf = (item) => ({
+      url: o.url, file: item.file, meta: item.meta, uploadId: item.uploadId,
+      chunkSize: o.chunkSize, chunks: item.chunks,
+      retry: { count: o.chunkRetries, methods: ['POST', 'PUT', 'PATCH'] }
+    });
+    const loadedOf = (item) => {
+      let n = 0;
+      item.received.forEach(i => { n += chunkLen(item, i); });
+      item.partial.forEach(v => { n += v; });
+      return n;
+    };
+    const progress = () => {
+      let loaded = 0, total = 0;
+      for (const it of items) {
+        if (it.state === 'cancelled') continue;
+        loaded += it.state === 'done' ? it.file.size : loadedOf(it);
+        total += it.file.size;
+      }
+      return { loaded, total, percent: total ? Math.round(loaded / total * 1000) / 10 : 0 };
+    };
+    const notify = (item) => { if (isFn(o.onProgress)) o.onProgress(progress(), item); };
+
+    const defer = (item) => {
+      item.done = new Promise((resolve, reject) => deferreds.set(item, { resolve, reject }));
+      item.done.catch(() => {}); // observed through callbacks as well
+    };
+    const settle = (item, ok, value) => {
+      const d = deferreds.get(item);
+      deferreds.delete(item);
+      if (d) (ok ? d.resolve : d.reject)(value);
+    };
+    const abortInFlight = (item) => { for (const ac of Array.from(item.aborts)) ac.abort(); };
+    // resume ids are best-effort: disabled storage / quota just means no resume after reload
+    const resumeStore = {
+      get: (key) => { try { return L.store.get(key); } catch (_) { return null; } },
+      set: (key, v) => { try { L.store.set(key, v, { ttl: o.resumeTtl }); } catch (_) {} },
+      remove: (key) => { try { L.store.remove(key); } catch (_) {} }
+    };
+    const abortSession = (item) => {
+      if (!isFn(protocol.abort)) return;
+      Promise.resolve().then(() => protocol.abort(ctxOf(item), o.client)).catch(() => {});
+    };
+
+    const runItem = async (item) => {
+      const http = o.client;
+      const key = storeKey(item);
+      item.state = 'uploading';
+      item.error = null;
+      try {
+        if (!item.uploadId) {
+          const saved = o.resumeTtl ? resumeStore.get(key) : null;
+          if (saved && saved.uploadId && isFn(protocol.status)) {
+            try {
+              const st = await protocol.status(extend(ctxOf(item), { uploadId: saved.uploadId }), http);
+              item.uploadId = saved.uploadId;
+              (st.received || []).forEach(i => item.received.add(Number(i)));
+            } catch (_) { resumeStore.remove(key); } // server forgot the session: start over
+          }
+          if (!item.uploadId && item.state !== 'cancelled') {
+            const session = await protocol.init(ctxOf(item), http);
+            item.uploadId = session.uploadId;
+            (session.received || []).forEach(i => item.received.add(Number(i)));
+            if (o.resumeTtl && item.state !== 'cancelled') resumeStore.set(key, { uploadId: item.uploadId });
+          }
+          // cancelled while the session was being opened (cancel saw no uploadId): close it here
+          if (item.state === 'cancelled') { if (item.uploadId) abortSession(item); return; }
+        }
+
+        const pending = [];
+        for (let i = 0; i < item.chunks; i++) if (!item.received.has(i)) pending.push(i);
+        const worker = async () => {
+          while (pending.length && item.state === 'uploading') {
+            const index = pending.shift();
+            const start = index * o.chunkSize, end = start + chunkLen(item, index);
+            const ac = new AbortController();
+            item.aborts.add(ac);
+            try {
+              await protocol.chunk(ctxOf(item), http, {
+                index, start, end, blob: item.file.slice(start, end), signal: ac.signal,
+                onProgress: (e) => {
+                  if (!isUploadProgress(e) || !e.lengthComputable || !e.total) return;
+                  item.partial.set(index, Math.round(Math.min(1, e.loaded / e.total) * (end - start)));
+                  notify(item);
+                }
+              });
+              item.received.add(index);
+            } catch (e) {
+              // paused/cancelled chunks stay unacknowledged and are re-sent on resume
+              if (item.state !== 'uploading') return;
+              item.state = 'error';
+              item.error = e;
+              abortInFlight(item);
+              return;
+            } finally {
+              item.aborts.delete(ac);
+              item.partial.delete(index);
+            }
+            notify(item);
+          }
+        };
+        await Promise.all(Array.from({ length: Math.max(1, o.parallel | 0) }, worker));
+        if (item.state === 'error') throw item.error;
+        if (item.state !== 'uploading') return;
+
+        item.result = await protocol.complete(ctxOf(item), http);
+        item.state = 'done';
+        resumeStore.remove(key);
+        notify(item);
+        settle(item, true, item.result);
+        if (isFn(o.onFileDone)) o.onFileDone(item);
+      } catch (e) {
+        if (item.state === 'paused' || item.state === 'cancelled') return;
+        item.state = 'error';
+        item.error = e;
+        settle(item, false, e);
+        if (isFn(o.onFileError)) o.onFileError(item, e);
+        else L.log.danger('L.upload: failed', item.file.name, e);
+      }
+    };
+
+    const pump = async () => {
+      if (running) return;
+      running = true;
+      try {
+        let next;
+        while (!paused && (next = items.find(it => it.state === 'queued'))) await runItem(next);
+      } finally {
+        running = false;
+      }
+      const settled = items.every(it => it.state === 'done' || it.state === 'error' || it.state === 'cancelled');
+      if (!paused && isFn(o.onDone) && settled) o.onDone(items.slice());
+    };
+
+    const pauseItem = (item) => {
+      if (item.state !== 'uploading' && item.state !== 'queued') return;
+      item.state = 'paused';
+      abortInFlight(item);
+    };
+    const resumeItem = (item) => {
+      if (item.state !== 'paused' && item.state !== 'error') return;
+      if (item.state === 'error') defer(item);
+      item.state = 'queued';
+      pump();
+    };
+    const cancelItem = (item) => {
+      if (item.state === 'done' || item.state === 'cancelled') return;
+      const hadSession = !!item.uploadId;
+      item.state = 'cancelled';
+      abortInFlight(item);
+      resumeStore.remove(storeKey(item));
+      if (hadSession) abortSession(item);
+      const err = L.error('E_UPLOAD_CANCELLED', { name: item.file.name });
+      settle(item, false, err);
+      notify(item);
+    };
+
+    const manager = () => manager.cancel();
+    manager.add = (files, meta) => {
+      const list = (files instanceof Blob) ? [files] : toArray(files || []);
+      const added = list.map(file => {
+        const item = {
+          id: uid('up'), file, meta: meta !== undefined ? meta : o.meta, state: 'queued',
+          uploadId: null, chunks: Math.max(1, Math.ceil(file.size / o.chunkSize)),
+          received: new Set(), partial: new Map(), aborts: new Set(), result: null, error: null
+        };
+        item.loaded = () => (item.state === 'done' ? file.size : loadedOf(item));
+        item.pause = () => pauseItem(item);
+        item.resume = () => resumeItem(item);
+        item.cancel = () => cancelItem(item);
+        defer(item);
+        items.push(item);
+        return item;
+      });
+      if (o.autoStart) pump();
+      return added;
+    };
+    manager.start = () => { paused = false; return pump(); };
+    manager.pause = () => {
+      paused = true;
+      items.forEach(it => { if (it.state === 'uploading') pauseItem(it); });
+    };
+    manager.resume = () => {
+      paused = false;
+      items.forEach(it => { if (it.state === 'paused') it.state = 'queued'; });
+      return pump();
+    };
+    manager.cancel = () => { items.forEach(cancelItem); };
+    manager.progress = progress;
+    manager.items = () => items.slice();
+    return manager;
+  };
+
+  L.serialize = (v) => {
+    if (v instanceof FormData) {
+      const o = {};
+      for (const [k, val] of v.entries()) setByPath(o, k, val);
+      return o;
+    }
+    if (isObj(v)) return serializeQuery(v);
+    return String(v);
+  };
+  L.toFormData = toFormData;
+
+  // ---------- Form validation ----------
+  // Rules: fn (value, el, form) → true | message, 'min:3', { minLength: 3 } or an array; opts.html5 adds field constraints
+  const FORM_MESSAGES = {
+    required: 'This field is required',
+    email: 'Enter a valid email address',
+    url: 'Enter a valid URL',
+    number: 'Enter a number',
+    integer: 'Enter a whole number',
+    pattern: 'Invalid format',
+    min: 'Must be at least {{param}}',
+    max: 'Must be at most {{param}}',
+    minLength: 'Use at least {{param}} characters',
+    maxLength: 'Use at most {{param}} characters',
+    length: 'Must be {{param}} characters long',
+    equalTo: 'Values do not match',
+    fileSize: 'File is larger than {{param}}',
+    fileType: 'File type is not allowed ({{param}})',
+    remote: 'This value is not available',
+    invalid: 'Invalid'
+  };
+
+  const isEmptyValue = (v) => v == null || v === '' || (isArr(v) && !v.length);
+
+  const parseBytes = (s) => {
+    if (typeof s === 'number') return s;
+    const m = String(s).trim().match(/^(\d+(?:\.\d+)?)\s*([kmg]?)i?b?$/i);
+    if (!m) return NaN;
+    return Math.round(parseFloat(m[1]) * Math.pow(1024, ' kmg'.indexOf((m[2] || ' ').toLowerCase())));
+  };
+
+  const compareValues = (v, param) => {
+    const a = Number(v), b = Number(param);
+    if (v !== '' && !isNaN(a) && !isNaN(b)) return a - b;
+    return String(v) < String(param) ? -1 : (String(v) > String(param) ? 1 : 0); // ISO dates/times
+  };
+
+  const acceptsFile = (file, accept) => String(accept).split(',').map(s => s.trim().toLowerCase()).filter(Boolean).some(a => {
+    if (a.startsWith('.')) return file.name.toLowerCase().endsWith(a);
+    if (a.endsWith('/*')) return (file.type || '').toLowerCase().startsWith(a.slice(0, -1));
+    return (file.type || '').toLowerCase() === a;
+  });
+
+  // Built-in rules: (value, param, ctx) → true | false | message | Promise of those.
+  // ctx = { name, el, els, form, value(name) }. Add custom rules by assigning to L.form.rules.
+  const FORM_RULES = {
+    required: (v, p) => p === false || !isEmptyValue(v),
+    email: (v) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(v)),
+    url: (v) => { try { return /^[a-z][a-z\d+.-]*:/i.test(v) && !!new URL(v); } catch (_) { return false; } },
+    number: (v) => String(v).trim() !== '' && isFinite(v),
+    integer: (v) => /^-?\d+$/.test(String(v).trim()),
+    pattern: (v, p) => (p instanceof RegExp ? p : new RegExp(`^(?:${p})$`, 'u')).test(String(v)),
+    min: (v, p) => compareValues(v, p) >= 0,
+    max: (v, p) => compareValues(v, p) <= 0,
+    minLength: (v, p) => (isArr(v) ? v.length : String(v).length) >= Number(p),
+    maxLength: (v, p) => (isArr(v) ? v.length : String(v).length) <= Number(p),
+    // exact length, or [min, max]
+    length: (v, p) => {
+      const n = isArr(v) ? v.length : String(v).length;
+      return isArr(p) ? n >= p[0] && n <= p[1] : n === Number(p);
+    },
+    equalTo: (v, p, ctx) => String(v) === String(ctx.value(p)),
+    fileSize: (v, p) => [].concat(v).every(f => !f || f.size <= parseBytes(p)),
+    fileType: (v, p) => [].concat(v).every(f => !f || acceptsFile(f, p)),
+    // '/api/slug-free' or { url, method, param, data }; the response data may be true,
+    // { valid: true }, or a message string / { message }
+    remote: (v, p, ctx) => {
+      const o = isStr(p) ? { url: p } : p;
+      const data = extend({}, isFn(o.data) ? o.data(ctx) : o.data, { [o.param || ctx.name]: v });
+      return L.ajax({ url: o.url, method: o.method || 'GET', data }).then((res) => {
+        const d = res && res.data;
+        if (d === true || (isObj(d) && d.valid === true)) return true;
+        if (isStr(d) && d && d !== 'false') return d;
+        return isObj(d) && isStr(d.message) ? d.message : false;
+      });
+    }
+  };
+
+  // form.elements[name] → list of elements (radio/checkbox groups have several)
+  const fieldElements = (form, name) => {
+    const f = form.elements[name];
+    if (!f) return [];
+    return (f.nodeType === 1) ? [f] : toArray(f);
+  };
+
+  const fieldValue = (els) => {
+    const el = els[0];
+    if (!el) return undefined;
+    if (el.type === 'radio') { const c = els.find(e => e.checked); return c ? c.value : ''; }
+    if (el.type === 'checkbox') {
+      if (els.length === 1) return el.checked ? el.value : '';
+      return els.filter(e => e.checked).map(e => e.value);
+    }
+    if (el.tagName === 'SELECT' && el.multiple) return toArray(el.selectedOptions || el.options).filter(o => o.selected).map(o => o.value);
+    if (el.type === 'file') return toArray(el.files || []);
+    return el.value;
+  };
+
+  const html5Rules = (els) => {
+    const el = els[0];
+    const out = [];
+    if (!el) return out;
+    const attr = (n) => el.getAttribute(n);
+    if (els.some(e => e.hasAttribute('required'))) out.push({ rule: 'required', param: true });
+    if (el.type === 'email') out.push({ rule: 'email' });
+    if (el.type === 'url') out.push({ rule: 'url' });
+    if (el.type === 'number' || el.type === 'range') out.push({ rule: 'number' });
+    if (attr('min') != null && attr('min') !== '') out.push({ rule: 'min', param: attr('min') });
+    if (attr('max') != null && attr('max') !== '') out.push({ rule: 'max', param: attr('max') });
+    if (Number(attr('minlength')) > 0) out.push({ rule: 'minLength', param: Number(attr('minlength')) });
+    if (attr('maxlength') != null && Number(attr('maxlength')) >= 0) out.push({ rule: 'maxLength', param: Number(attr('maxlength')) });
+    if (attr('pattern')) out.push({ rule: 'pattern', param: attr('pattern') });
+    if (el.type === 'file' && attr('accept')) out.push({ rule: 'fileType', param: attr('accept') });
+    if (el.dataset && el.dataset.maxSize) out.push({ rule: 'fileSize', param: el.dataset.maxSize });
+    if (el.dataset && el.dataset.equalTo) out.push({ rule: 'equalTo', param: el.dataset.equalTo });
+    return out;
+  };
+
+  // Spec → [{ rule, param, fn, message }]
+  const normalizeRules = (spec, messages = {}) => {
+    const out = [];
+    for (const r of (isArr(spec) ? spec : [spec])) {
+      if (r == null || r === false) continue;
+      if (isFn(r)) out.push({ fn: r });
+      else if (isStr(r)) {
+        const i = r.indexOf(':');
+        out.push(i > 0 ? { rule: r.slice(0, i), param: r.slice(i + 1) } : { rule: r, param: true });
+      } else if (isObj(r)) {
+        const msgs = extend({}, messages, r.messages);
+        for (const k of Object.keys(r)) {
+          if (k === 'messages' || k === 'message' || r[k] === false || r[k] == null) continue;
+          out.push({ rule: k, param: r[k], message: msgs[k] || r.message });
+        }
+      }
+    }
+    return out;
+  };
+
+  const ruleMessage = (r, res) => {
+    if (isStr(res) && res) return res;
+    if (!r.rule) return res ? String(res) : FORM_MESSAGES.invalid;
+    const data = { param: r.param instanceof RegExp ? r.param.source : (isArr(r.param) ? r.param.join('–') : r.param) };
+    if (r.message) return L.interpolate(r.message, data);
+    const key = `form:${r.rule}`;
+    if (L.i18n && L.i18n.exists(key)) return L.i18n.t(key, data);
+    return L.interpolate(FORM_MESSAGES[r.rule] || FORM_MESSAGES.invalid, data);
+  };
+
+  // Validate one field. Returns { errors, pending } — pending is a Promise of the full error list
+  // when async rules are involved, else null.
+  const checkField = (form, name, spec, opts) => {
+    const els = fieldElements(form, name);
+    const value = fieldValue(els);
+    let list = normalizeRules(spec, opts.messages && opts.messages[name]);
+    if (opts.html5 && els.length) {
+      const declared = new Set(list.map(r => r.rule).filter(Boolean));
+      list = html5Rules(els).filter(r => !declared.has(r.rule)).concat(list);
+    }
+    const ctx = { name, el: els[0] || null, els, form, value: (n) => fieldValue(fieldElements(form, n)) };
+    const errors = [];
+    const async = [];
+    const required = list.some(r => r.rule === 'required' && r.param !== false);
+    if (!required && isEmptyValue(value)) {
+      list = list.filter(r => r.fn); // custom functions still see empty values
+    }
+    for (const r of list) {
+      let res;
+      if (r.fn) res = r.fn(value, els.length > 1 ? form.elements[name] : els[0], form);
+      else {
+        const fn = L.form.rules[r.rule];
+        if (!isFn(fn)) { L.log.warn('L.form.validate: unknown rule', r.rule); continue; }
+        res = fn(value, r.param, ctx);
+      }
+      if (res && isFn(res.then)) async.push(Promise.resolve(res).then(v => (v === true ? null : ruleMessage(r, v)), () => ruleMessage(r, false)));
+      else if (res !== true) errors.push(ruleMessage(r, res));
+      if (r.rule === 'required' && res !== true) break; // nothing else to say about an empty field
+    }
+    const pending = async.length
+      ? Promise.all(async).then(msgs => errors.concat(msgs.filter(Boolean)))
+      : null;
+    return { errors, pending };
+  };
+
+  // Field names: explicit rules, plus every named control carrying constraints (html5 mode)
+  const validationFields = (form, rules, opts) => {
+    const names = new Set(Object.keys(rules || {}));
+    if (opts.html5) {
+      for (const el of toArray(form.elements)) {
+        if (!el.name || el.disabled || el.type === 'submit' || el.type === 'button') continue;
+        if (html5Rules([el]).length) names.add(el.name);
+      }
+    }
+    return Array.from(names);
+  };
+
+  // Message element after the field (after its wrapping <label>, or after the last radio/checkbox)
+  const renderFieldErrors = (form, name, errors, opts) => {
+    const els = fieldElements(form, name);
+    if (!els.length) return;
+    const cfg = extend({ errorClass: 'light-invalid', messageClass: 'light-form-error' }, isObj(opts.render) ? opts.render : {});
+    const last = els[els.length - 1];
+    const anchor = last.parentElement && last.parentElement.tagName === 'LABEL' ? last.parentElement : last;
+    const msgId = `${(els[0].id || `${form.id || 'form'}-${name}`).replace(/[^\w-]/g, '-')}-error`;
+    let msgEl = document.getElementById(msgId);
+    for (const el of els) {
+      const ids = (el.getAttribute('aria-describedby') || '').split(/\s+/).filter(x => x && x !== msgId);
+      if (errors.length) ids.push(msgId);
+      if (ids.length) el.setAttribute('aria-describedby', ids.join(' '));
+      else el.removeAttribute('aria-describedby');
+      if (errors.length) el.setAttribute('aria-invalid', 'true');
+      else el.removeAttribute('aria-invalid');
+      el.classList.toggle(cfg.errorClass, !!errors.length);
+    }
+    if (!errors.length) { if (msgEl) msgEl.remove(); return; }
+    if (!msgEl) {
+      msgEl = L.el('div', { id: msgId, class: cfg.messageClass, role: 'alert' });
+      anchor.insertAdjacentElement('afterend', msgEl);
+    }
+    msgEl.textContent = errors.join(' ');
+  };
+
+  const liveValidation = new WeakMap(); // form -> stop()
+
+  // Revalidate fields on blur/change ('blur') or while typing ('input'); once a field has shown an
+  // error it is rechecked on input in both modes. Submit is blocked until the form is valid.
+  const bindLiveValidation = (form, rules, opts) => {
+    if (liveValidation.has(form)) liveValidation.get(form)();
+    const fields = new Set(validationFields(form, rules, opts));
+    const seq = Object.create(null);
+    const shown = new Set();
+    const timers = new Map();
+    const delay = opts.delay != null ? opts.delay : 250;
+    let bypass = false;
+    // with html5 our messages replace the browser's bubbles (and our checkbox-group semantics its per-box ones)
+    const noValidate = form.noValidate;
+    if (opts.submit !== false && opts.html5) form.noValidate = true;
+
+    const run = (name) => {
+      const token = seq[name] = (seq[name] || 0) + 1;
+      const { errors, pending } = checkField(form, name, rules[name], opts);
+      const show = (errs) => {
+        if (seq[name] !== token) return; // a newer check is running
+        if (errs.length) shown.add(name); else shown.delete(name);
+        if (opts.render) renderFieldErrors(form, name, errs, opts);
+        if (isFn(opts.onField)) opts.onField(name, errs);
+      };
+      show(errors);
+      if (pending && !errors.length) pending.then(show);
+    };
+    const nameOf = (e) => (e.target && e.target.name && fields.has(e.target.name) ? e.target.name : null);
+    const onInput = (e) => {
+      const name = nameOf(e);
+      if (!name || (opts.live !== 'input' && !shown.has(name))) return;
+      clearTimeout(timers.get(name));
+      timers.set(name, setTimeout(() => run(name), delay));
+    };
+    // one trigger per control: change for pickers, focusout for text-like ones (both fire on a typed edit)
+    const picked = (el) => el.tagName === 'SELECT' || /^(checkbox|radio|file)$/.test(el.type);
+    const onBlur = (e) => { const name = nameOf(e); if (name && !picked(e.target)) { clearTimeout(timers.get(name)); run(name); } };
+    const onChange = (e) => { const name = nameOf(e); if (name && picked(e.target)) { clearTimeout(timers.get(name)); run(name); } };
+    // capture phase: the app's own submit handlers only see the validated re-submit
+    const onSubmit = (e) => {
+      if (bypass) return;
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      const submitter = e.submitter;
+      Promise.resolve().then(() => validateFormAsync(form, rules, opts)).then((res) => { // rule throws reject too
+        if (!res.valid) {
+          const first = Object.keys(res.errors)[0];
+          const el = first && fieldElements(form, first)[0];
+          if (el && el.focus) el.focus();
+          return;
+        }
+        if (!form.requestSubmit) { form.submit(); return; }
+        bypass = true; // requestSubmit dispatches synchronously
+        try { form.requestSubmit(submitter && submitter.form === form ? submitter : undefined); } finally { bypass = false; }
+      }).catch((err) => {
+        bypass = false;
+        L.reportError(err, { source: 'L.form.validate', phase: 'submit' });
+      });
+    };
+    on(form, 'input', onInput);
+    on(form, 'focusout', onBlur);
+    on(form, 'change', onChange);
+    if (opts.submit !== false) on(form, 'submit', onSubmit, true);
+    const stop = () => {
+      off(form, 'input', onInput);
+      off(form, 'focusout', onBlur);
+      off(form, 'change', onChange);
+      off(form, 'submit', onSubmit);
+      timers.forEach(t => clearTimeout(t));
+      form.noValidate = noValidate;
+      if (liveValidation.get(form) === stop) liveValidation.delete(form);
+    };
+    liveValidation.set(form, stop);
+    return stop;
+  };
+
+  const validateFormAsync = (form, rules = {}, opts = {}) => {
+    const errors = {};
+    const jobs = validationFields(form, rules, opts).map((name) => {
+      const { errors: errs, pending } = checkField(form, name, rules[name], opts);
+      return Promise.resolve(pending && !errs.length ? pending : errs).then((list) => {
+        if (list.length) errors[name] = list;
+        if (opts.render) renderFieldErrors(form, name, list, opts);
+      });
+    });
+    return Promise.all(jobs).then(() => ({ valid: !Object.keys(errors).length, errors }));
+  };
+
+  // ---------- Form change tracking ----------
+  // Dirty = typed serialize() vs the track()/markClean() snapshot; drafts in L.store
+  const flattenFormData = (obj, prefix = '', out = {}) => {
+    for (const k of Object.keys(obj || {})) {
+      const v = obj[k];
+      const path = prefix ? `${prefix}.${k}` : k;
+      if (L.isPlainObject(v)) flattenFormData(v, path, out);
+      else out[path] = v;
+    }
+    return out;
+  };
+
+  const isFileLike = (v) => (typeof Blob !== 'undefined' && v instanceof Blob);
+  const comparable = (v) => JSON.stringify(v, (k, x) => (isFileLike(x) ? `[file:${x.name || ''}:${x.size}]` : x));
+  const withoutFiles = (v) => {
+    if (isFileLike(v)) return undefined;
+    if (isArr(v)) return v.filter(x => !isFileLike(x)).map(withoutFiles);
+    if (L.isPlainObject(v)) { const o = {}; for (const k of Object.keys(v)) { const x = withoutFiles(v[k]); if (x !== undefined) o[k] = x; } return o; }
+    return v;
+  };
+
+  const trackForm = (form, opts = {}) => {
+    const o = extend({
+      key: `L.form:${location.pathname}#${form.id || form.getAttribute('name') || toArray(document.forms).indexOf(form)}`,
+      ttl: 7 * 24 * 3600 * 1000,
+      scope: 'local',
+      autosave: true,
+      delay: 1000,
+      guard: true,
+      message: 'You have unsaved changes.',
+      restore: false,   // true: apply a stored draft right away
+      ignore: [],       // field paths left out of dirty checks and drafts (e.g. CSRF tokens)
+      schema: null,     // typed serialization schema (see L.form.serialize)
+      onDraft: null,    // (draft, tracker) when a stored draft differs from the form
+      onDirty: null     // (dirty, fields) when the dirty state flips
+    }, opts);
+    const storeOpts = { ttl: o.ttl, scope: o.scope };
+    // quota exceeded / storage disabled: report and carry on without drafts
+    const storage = (phase, fn, fallback = null) => {
+      try { return fn(); } catch (e) { L.reportError(e, { source: 'L.form.track', phase }); return fallback; }
+    };
+    const readDraft = () => storage('read', () => L.store.get(o.key, storeOpts));
+    const dropDraft = () => storage('discard', () => { L.store.remove(o.key, storeOpts); });
+    const read = () => {
+      const flat = flattenFormData(L.form.serialize(form, 'typed', { schema: o.schema }));
+      o.ignore.forEach(k => { delete flat[k]; });
+      return flat;
+    };
+
+    let initial = read();
+    let dirty = false;
+    let timer = null;
+
+    const diff = () => {
+      const now = read();
+      const out = {};
+      for (const k of new Set(Object.keys(initial).concat(Object.keys(now)))) {
+        if (comparable(initial[k]) !== comparable(now[k])) out[k] = { from: initial[k], to: now[k] };
+      }
+      return out;
+    };
+
+    const saveDraft = () => {
+      if (timer) { clearTimeout(timer); timer = null; }
+      if (!dirty) { dropDraft(); return; }
+      storage('autosave', () => {
+        const data = withoutFiles(L.form.serialize(form, 'typed', { schema: o.schema }));
+        for (const k of o.ignore) {
+          const parts = k.split('.');
+          const parent = parts.length > 1 ? getByPath(data, parts.slice(0, -1).join('.')) : data;
+          if (isObj(parent)) delete parent[parts[parts.length - 1]];
+        }
+        L.store.set(o.key, { data, savedAt: Date.now() }, storeOpts);
+      });
+    };
+
+    const refresh = () => {
+      const fields = Object.keys(diff());
+      const was = dirty;
+      dirty = fields.length > 0;
+      if (was !== dirty) {
+        unloadGuard(dirty);
+        if (isFn(o.onDirty)) o.onDirty(dirty, fields);
+        L.emit(form, 'light:dirty', { dirty, fields });
+      }
+      if (o.autosave) {
+        if (timer) clearTimeout(timer);
+        timer = setTimeout(saveDraft, dirty ? o.delay : 0);
+      }
+      return dirty;
+    };
+
+    const onBeforeUnload = (e) => {
+      if (o.autosave && dirty) saveDraft();
+      if (!o.guard || !dirty) return;
+      e.preventDefault();
+      e.returnValue = o.message;
+      return o.message;
+    };
+    // only while dirty: a beforeunload listener keeps the page out of the back/forward cache
+    let guarded = false;
+    const unloadGuard = (want) => {
+      want = want && (o.guard || o.autosave);
+      if (want === guarded) return;
+      guarded = want;
+      (want ? on : off)(global, 'beforeunload', onBeforeUnload);
+    };
+
+    on(form, 'input', refresh);
+    on(form, 'change', refresh);
+    const onReset = () => setTimeout(refresh, 0); // values change after the event
+    on(form, 'reset', onReset);
+
+    const stop = () => {
+      off(form, 'input', refresh);
+      off(form, 'change', refresh);
+      off(form, 'reset', onReset);
+      unloadGuard(false);
+      if (timer) { clearTimeout(timer); timer = null; }
+    };
+    stop.isDirty = () => dirty;
+    stop.dirtyFields = () => Object.keys(diff());
+    stop.diff = diff;
+    stop.initial = () => extend(true, {}, initial);
+    // New baseline (after a successful save); drops the draft
+    stop.markClean = () => {
+      initial = read();
+      refresh();
+      dropDraft();
+    };
+    stop.save = saveDraft;
+    stop.draft = readDraft;
+    stop.hasDraft = () => !!stop.draft();
+    stop.restore = () => {
+      const d = stop.draft();
+      if (!d) return false;
+      L.form.deserialize(form, d.data, { schema: o.schema });
+      refresh();
+      return true;
+    };
+    stop.discardDraft = dropDraft;
+
+    const pending = stop.draft();
+    if (pending) {
+      const stored = flattenFormData(pending.data);
+      o.ignore.forEach(k => { delete stored[k]; });
+      const differs = Object.keys(stored).some(k => comparable(stored[k]) !== comparable(initial[k]));
+      if (!differs) stop.discardDraft();
+      else if (o.restore === true) stop.restore();
+      else if (isFn(o.onDraft)) o.onDraft(pending, stop);
+    }
+    return stop;
+  };
+
+  // ---------- Typed form serialization ----------
+  // Types from schema[name], then data-type, number inputs → number; deserialize(serialize(form, 'typed')) is a no-op
+  const pad2 = (n) => String(n).padStart(2, '0');
+  const formatDateFor = (el, v) => {
+    const d = v instanceof Date ? v : new Date(v);
+    if (isNaN(d)) return '';
+    const type = el && el.type;
+    if (type === 'date') return d.toISOString().slice(0, 10);
+    if (type === 'month') return d.toISOString().slice(0, 7);
+    if (type === 'datetime-local') {
+      return `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}T${pad2(d.getHours())}:${pad2(d.getMinutes())}` +
+        (d.getSeconds() ? `:${pad2(d.getSeconds())}` : '');
+    }
+    return d.toISOString();
+  };
+
+  const FIELD_TYPES = {
+    string: { parse: (s) => s, format: (v) => String(v) },
+    number: { parse: (s) => (String(s).trim() === '' || isNaN(s) ? null : Number(s)), format: (v) => String(v) },
+    boolean: { parse: (s) => /^(true|1|on|yes)$/i.test(String(s).trim()), format: (v) => String(v) },
+    date: {
+      parse: (s) => { if (!s) return null; const d = new Date(s); return isNaN(d) ? null : d; },
+      format: (v, el) => formatDateFor(el, v)
+    },
+    json: {
+      parse: (s) => { if (String(s).trim() === '') return null; try { return JSON.parse(s); } catch (_) { return s; } },
+      format: (v) => (isStr(v) ? v : JSON.stringify(v))
+    }
+  };
+
+  const schemaKey = (name) => name.replace(/\[\d+\]/g, '[]').replace(/\[\]$/, '');
+
+  const fieldCodec = (el, name, schema) => {
+    const s = schema ? (schema[name] !== undefined ? schema[name] : schema[schemaKey(name)]) : undefined;
+    const t = s !== undefined ? s : (el.dataset.type || (el.type === 'number' || el.type === 'range' ? 'number' : 'string'));
+    if (isObj(t)) return { parse: t.parse || FIELD_TYPES.string.parse, format: t.format || FIELD_TYPES.string.format };
+    if (!FIELD_TYPES[t]) L.log.warn('L.form: unknown field type', t, 'for', name);
+    return FIELD_TYPES[t] || FIELD_TYPES.string;
+  };
+
+  const SKIP_CONTROLS = ['submit', 'button', 'reset', 'image'];
+  // name -> controls, in document order
+  const formGroups = (form, withDisabled) => {
+    const groups = new Map();
+    for (const el of toArray(form.elements)) {
+      if (!el.name || el.tagName === 'FIELDSET' || el.tagName === 'OBJECT' || el.tagName === 'OUTPUT') continue;
+      if (SKIP_CONTROLS.includes(el.type) || (!withDisabled && el.disabled)) continue;
+      if (!groups.has(el.name)) groups.set(el.name, []);
+      groups.get(el.name).push(el);
+    }
+    return groups;
+  };
+
+  // checkbox + hidden of the same name: the hidden input carries the unchecked value
+  const checkboxFallback = (els) => {
+    if (els.length !== 2) return null;
+    const box = els.find(e => e.type === 'checkbox');
+    const hidden = els.find(e => e.type === 'hidden');
+    return box && hidden ? { box, hidden } : null;
+  };
+
+  const isLoneBoolean = (el) => !el.hasAttribute('value') || el.value === 'on' || el.dataset.type === 'boolean';
+
+  const serializeTyped = (form, opts = {}) => {
+    const out = {};
+    for (const [name, els] of formGroups(form, false)) {
+      const codec = (el) => fieldCodec(el, name, opts.schema);
+      const listy = name.endsWith('[]') || els.length > 1;
+      const first = els[0];
+      const pair = checkboxFallback(els);
+      let val;
+      if (pair) {
+        const src = pair.box.checked ? pair.box : pair.hidden;
+        val = codec(src).parse(src.value, src);
+      } else if (first.type === 'checkbox' && els.every(e => e.type === 'checkbox')) {
+        if (listy) val = els.filter(e => e.checked).map(e => codec(e).parse(e.value, e));
+        else if (isLoneBoolean(first)) val = first.checked;
+        else val = first.checked ? codec(first).parse(first.value, first) : null;
+      } else if (first.type === 'radio') {
+        const c = els.find(e => e.checked);
+        val = c ? codec(c).parse(c.value, c) : null;
+      } else {
+        const vals = els.map((el) => {
+          if (el.tagName === 'SELECT' && el.multiple) return toArray(el.options).filter(o => o.selected).map(o => codec(el).parse(o.value, el));
+          if (el.type === 'file') return el.multiple ? toArray(el.files || []) : ((el.files && el.files[0]) || null);
+          return codec(el).parse(el.value, el);
+        });
+        val = listy ? vals : vals[0];
+      }
+      setByPath(out, name.replace(/\[\]$/, ''), val);
+    }
+    return out;
+  };
+
+  const deserializeForm = (form, data, opts = {}) => {
+    for (const [name, els] of formGroups(form, true)) {
+      const key = name.replace(/\[\]$/, '');
+      if (!hasByPath(data, key)) continue; // absent keys leave fields untouched
+      const val = getByPath(data, key);
+      const codec = (el) => fieldCodec(el, name, opts.schema);
+      // raw control value vs data value: typed comparison first, then as strings (untyped data)
+      const matches = (el, raw, v) => v != null && (comparable(codec(el).parse(raw, el)) === comparable(v) || String(raw) === String(v));
+      const listy = name.endsWith('[]') || els.length > 1;
+      const pair = checkboxFallback(els);
+      if (pair) { pair.box.checked = matches(pair.box, pair.box.value, val); continue; }
+      let idx = 0;
+      for (const el of els) {
+        if (el.type === 'file') continue;
+        if (el.type === 'checkbox') {
+          if (listy) el.checked = [].concat(val == null ? [] : val).some(v => matches(el, el.value, v));
+          else el.checked = val === true || val === 'on' || (val !== false && matches(el, el.value, val));
+        } else if (el.type === 'radio') {
+          el.checked = matches(el, el.value, val);
+        } else if (el.tagName === 'SELECT' && el.multiple) {
+          const list = [].concat(listy && isArr(val) && isArr(val[idx]) ? val[idx] : (val == null ? [] : val));
+          idx++;
+          toArray(el.options).forEach(o => { o.selected = list.some(v => matches(el, o.value, v)); });
+        } else {
+          const v = listy && isArr(val) ? val[idx] : val;
+          idx++;
+          if (el.tagName === 'SELECT') {
+            const opt = toArray(el.options).find(o => matches(el, o.value, v));
+            if (opt) opt.selected = true;
+            else el.selectedIndex = -1;
+            continue;
+          }
+          // keep the current text when it already means the same value ('1.50' vs 1.5)
+          if (v != null && comparable(codec(el).parse(el.value, el)) === comparable(v)) continue;
+          el.value = v == null ? '' : codec(el).format(v, el);
+        }
+      }
+    }
+  };
+
+  // Forms
+  L.form = {
+    // mode: 'object' | 'query' | 'FormData' | 'typed' (opts.schema; see typed serialization above)
+    serialize(form, mode = 'object', opts = {}) {
+      if (isObj(mode)) { opts = mode; mode = 'typed'; }
+      if (!form) return mode === 'FormData' ? new FormData() : (mode === 'query' ? '' : {});
+      if (mode === 'typed') return serializeTyped(form, opts);
+      const fd = new FormData(form);
+      if (mode === 'FormData') return fd;
+
+      const outObj = {};
+      for (const [k, v] of fd.entries()) {
+        const existing = getByPath(outObj, k);
+        if (existing === undefined) {
+          setByPath(outObj, k, v);
+        } else if (Array.isArray(existing)) {
+          existing.push(v);
+        } else {
+          setByPath(outObj, k, [existing, v]);
+        }
+      }
+      if (mode === 'object') return outObj;
+      if (mode === 'query') return serializeQuery(outObj);
+      return outObj;
+    },
+    // Accepts 'object' and 'typed' shapes; keys missing from data leave their fields untouched,
+    // null clears/unchecks. opts.schema as for serialize().
+    deserialize(form, data, opts = {}) {
+      if (!form || !data) return;
+      deserializeForm(form, data, opts);
+    },
+    reset(form) { form && form.reset && form.reset(); },
+    // → { valid, errors, pending } (pending: Promise of the full result when async rules run); opts.live adds stop()
+    validate(form, rules = {}, opts = {}) {
+      const errors = {};
+      const waits = [];
+      for (const name of validationFields(form, rules, opts)) {
+        const { errors: errs, pending } = checkField(form, name, rules[name], opts);
+        if (errs.length) errors[name] = errs;
+        if (opts.render) renderFieldErrors(form, name, errs, opts);
+        if (pending && !errs.length) {
+          waits.push(pending.then((list) => {
+            if (opts.render) renderFieldErrors(form, name, list, opts);
+            return list.length ? [name, list] : null;
+          }));
+        }
+      }
+      const result = { valid: !Object.keys(errors).length, errors, pending: null };
+      if (waits.length) {
+        result.pending = Promise.all(waits).then((found) => {
+          const all = extend({}, errors);
+          found.filter(Boolean).forEach(([name, list]) => { all[name] = list; });
+          return { valid: !Object.keys(all).length, errors: all };
+        });
+      }
+      if (opts.live) result.stop = bindLiveValidation(form, rules, opts);
+      return result;
+    },
+    // Dirty tracking + drafts; returns stop() carrying isDirty/diff/markClean/restore/...
+    track: (form, opts) => trackForm(form, opts),
+    // Like validate(), awaiting async rules → Promise<{ valid, errors }>
+    validateAsync: (form, rules, opts) => validateFormAsync(form, rules, opts),
+    rules: FORM_RULES,
+    messages: FORM_MESSAGES
+  };
+
+  // Objects / Arrays
+  L.extend = extend;
+  L.clone = (value, deep = true) => deep ? deepClone(value) : (isArr(value) ? value.slice() : (isObj(value) ? Object.assign({}, value) : value));
+  L.merge = (...arrays) => arrays.reduce((acc, a) => (acc.push(...a), acc), []);
+  L.unique = (array) => Array.from(new Set(array));
+  L.uniqueBy = (array, keyFn) => {
+    const map = new Map();
+    array.forEach(item => map.set(keyFn(item), item));
+    return Array.from(map.values());
   };
   L.compact = (array) => array.filter(Boolean);
   L.chunk = (array, size) => {
@@ -1029,14 +3103,199 @@
   L.slugify = (s) => String(s).toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z0-9]+/g, '-').replace(/(^-|-$)/g, '');
   L.escapeHTML = escapeHTML;
   L.unescapeHTML = unescapeHTML;
+  // Plain-text substitution of {{path}} (no escaping): messages, titles, log lines. HTML goes through L.tpl.
   L.interpolate = (tpl, data) => tpl.replace(/\{\{\s*([\w.[\]0-9]+)\s*\}\}/g, (_, p) => {
     const v = getByPath(data, p);
     return v == null ? '' : String(v);
   });
-  L.template = (tplOrId, data) => {
-    const tpl = tplOrId && tplOrId[0] === '#' ? (document.querySelector(tplOrId)?.innerHTML || '') : String(tplOrId || '');
-    return L.interpolate(tpl, data || {});
-  };
+
+  // ---------- Templates ----------
+  // {{path}}, {{{raw}}}, | filters, #if/#unless/#each, {{> partial}}; compiled to closures (CSP-safe) and cached
+  L.tpl = (() => {
+    const SAFE = Symbol('L.tpl.safe');
+    const cache = new Map();  // source -> render
+    const byId = new Map();   // '#id' -> render
+    const treeOf = new WeakMap(); // render -> parsed nodes (partials render in the caller's scope)
+    const filters = Object.create(null);
+    const partials = Object.create(null);
+    const CACHE_MAX = 500;
+
+    // split on `sep` outside quotes
+    const splitTop = (s, sep) => {
+      const out = [];
+      let cur = '', q = null;
+      for (const ch of s) {
+        if (q) { if (ch === q) q = null; cur += ch; continue; }
+        if (ch === '"' || ch === '\'') { q = ch; cur += ch; continue; }
+        if (ch === sep) { out.push(cur.trim()); cur = ''; continue; }
+        cur += ch;
+      }
+      out.push(cur.trim());
+      return out;
+    };
+
+    const parseOperand = (s) => {
+      if (/^(['"])[\s\S]*\1$/.test(s)) { const v = s.slice(1, -1); return () => v; }
+      if (/^-?\d+(\.\d+)?$/.test(s)) { const v = Number(s); return () => v; }
+      if (s === 'true' || s === 'false') { const v = s === 'true'; return () => v; }
+      if (s === 'null') return () => null;
+      return (scope) => lookup(scope, s);
+    };
+
+    const parseExpr = (src) => {
+      const [head, ...pipes] = splitTop(src, '|');
+      const base = parseOperand(head);
+      const chain = pipes.map(p => {
+        const i = p.indexOf(':');
+        const name = (i < 0 ? p : p.slice(0, i)).trim();
+        const args = i < 0 ? [] : splitTop(p.slice(i + 1), ',').map(parseOperand);
+        return { name, args };
+      });
+      return (scope) => chain.reduce((v, f) => {
+        const fn = filters[f.name];
+        if (!fn) throw new Error(`L.tpl: unknown filter "${f.name}"`);
+        return fn(v, ...f.args.map(a => a(scope)));
+      }, base(scope));
+    };
+
+    // scope: { data, locals, parent }
+    const lookup = (scope, path) => {
+      while (path.startsWith('../')) { scope = scope.parent || scope; path = path.slice(3); }
+      if (path === 'this' || path === '.') return scope.data;
+      if (path.startsWith('this.')) return getByPath(scope.data, path.slice(5));
+      if (path[0] === '@') {
+        for (let s = scope; s; s = s.parent) if (s.locals && path in s.locals) return s.locals[path];
+        return undefined;
+      }
+      const first = pathToTokens(path)[0];
+      for (let s = scope; s; s = s.parent) {
+        if (isObj(s.data) && first in s.data) return getByPath(s.data, path);
+      }
+      return undefined;
+    };
+
+    const truthy = (v) => (isArr(v) ? v.length > 0 : !!v);
+
+    const parse = (src) => {
+      const root = { type: 'root', children: [] };
+      const stack = [root];
+      const top = () => stack[stack.length - 1];
+      const re = /\{\{\{([\s\S]+?)\}\}\}|\{\{([\s\S]+?)\}\}/g;
+      let last = 0, m;
+      const push = (node) => { const t = top(); (t.inElse ? t.alt : t.children).push(node); };
+      while ((m = re.exec(src))) {
+        if (m.index > last) push({ type: 'text', value: src.slice(last, m.index) });
+        last = re.lastIndex;
+        if (m[1] !== undefined) { push({ type: 'raw', expr: parseExpr(m[1].trim()) }); continue; }
+        const tag = m[2].trim().replace(/^&gt;/, '>'); // '>' arrives escaped from <template> innerHTML
+        if (tag[0] === '!') continue;
+        if (tag[0] === '#') {
+          const [, kind, rest] = tag.match(/^#(\w+)\s*([\s\S]*)$/) || [];
+          if (!['if', 'unless', 'each'].includes(kind)) throw new Error(`L.tpl: unknown block "${tag}"`);
+          const node = { type: kind, expr: parseExpr(rest), children: [], alt: [], inElse: false };
+          push(node);
+          stack.push(node);
+        } else if (tag[0] === '/') {
+          const kind = tag.slice(1).trim();
+          if (stack.length < 2 || top().type !== kind) throw new Error(`L.tpl: unexpected {{/${kind}}}`);
+          delete stack.pop().inElse;
+        } else if (tag === 'else') {
+          if (stack.length < 2) throw new Error('L.tpl: {{else}} outside a block');
+          top().inElse = true;
+        } else if (tag[0] === '>') {
+          const [name, ctx] = tag.slice(1).trim().split(/\s+/);
+          push({ type: 'partial', name, ctx: ctx ? parseOperand(ctx) : null });
+        } else {
+          push({ type: 'var', expr: parseExpr(tag) });
+        }
+      }
+      if (stack.length > 1) throw new Error(`L.tpl: unclosed {{#${top().type}}}`);
+      if (last < src.length) push({ type: 'text', value: src.slice(last) });
+      return root.children;
+    };
+
+    const renderNodes = (nodes, scope) => {
+      let out = '';
+      for (const n of nodes) {
+        if (n.type === 'text') out += n.value;
+        else if (n.type === 'var' || n.type === 'raw') {
+          const v = n.expr(scope);
+          if (v == null) continue;
+          const trusted = isObj(v) && v[SAFE] !== undefined;
+          out += trusted ? v[SAFE] : (n.type === 'raw' ? String(v) : escapeHTML(v));
+        } else if (n.type === 'if' || n.type === 'unless') {
+          const ok = truthy(n.expr(scope)) === (n.type === 'if');
+          out += renderNodes(ok ? n.children : n.alt, scope);
+        } else if (n.type === 'each') {
+          const v = n.expr(scope);
+          const keys = isArr(v) ? v.map((_, i) => i) : (isObj(v) ? Object.keys(v) : []);
+          if (!keys.length) { out += renderNodes(n.alt, scope); continue; }
+          keys.forEach((k, i) => {
+            const locals = { '@index': i, '@key': k, '@first': i === 0, '@last': i === keys.length - 1 };
+            out += renderNodes(n.children, { data: v[k], locals, parent: scope });
+          });
+        } else if (n.type === 'partial') {
+          const fn = n.name[0] === '#' ? fromId(n.name) : (partials[n.name] && compile(partials[n.name]));
+          if (!fn) throw new Error(`L.tpl: unknown partial "${n.name}"`);
+          out += renderNodes(treeOf.get(fn), n.ctx ? { data: n.ctx(scope), locals: null, parent: scope } : scope);
+        }
+      }
+      return out;
+    };
+
+    const compile = (src) => {
+      src = String(src == null ? '' : src);
+      if (cache.has(src)) return cache.get(src);
+      const nodes = parse(src);
+      const render = (data) => renderNodes(nodes, { data: data == null ? {} : data, locals: null, parent: null });
+      treeOf.set(render, nodes);
+      if (cache.size >= CACHE_MAX) cache.delete(cache.keys().next().value);
+      cache.set(src, render);
+      return render;
+    };
+
+    const fromId = (id) => {
+      if (byId.has(id)) return byId.get(id);
+      const el = document.querySelector(id);
+      if (!el) return null;
+      const fn = compile(el.innerHTML);
+      byId.set(id, fn);
+      return fn;
+    };
+
+    // Built-in filters
+    Object.assign(filters, {
+      upper: v => String(v == null ? '' : v).toUpperCase(),
+      lower: v => String(v == null ? '' : v).toLowerCase(),
+      capitalize: v => { const s = String(v == null ? '' : v); return s.charAt(0).toUpperCase() + s.slice(1); },
+      trim: v => String(v == null ? '' : v).trim(),
+      default: (v, def) => (v == null || v === '' ? def : v),
+      json: v => JSON.stringify(v),
+      length: v => (v == null ? 0 : (v.length != null ? v.length : Object.keys(v).length)),
+      join: (v, sep = ', ') => (isArr(v) ? v.join(sep) : v),
+      truncate: (v, n = 50, tail = '…') => { const s = String(v == null ? '' : v); return s.length > n ? s.slice(0, n) + tail : s; },
+      slugify: v => L.slugify(v == null ? '' : v),
+      nl2br: v => ({ [SAFE]: escapeHTML(v == null ? '' : v).replace(/\r?\n/g, '<br>') })
+    });
+
+    return {
+      compile,
+      // Render a template source or '#id' with data
+      render(srcOrId, data) {
+        const s = String(srcOrId || '');
+        const fn = s.trim()[0] === '#' ? fromId(s.trim()) : compile(s);
+        return fn ? fn(data || {}) : '';
+      },
+      filter(name, fn) { filters[name] = fn; return fn; },
+      partial(name, src) { partials[name] = String(src); },
+      // Mark trusted HTML (from filters or data) so {{ }} does not escape it
+      safe: (html) => ({ [SAFE]: String(html == null ? '' : html) }),
+      // Drop cached compilations (all, or one '#id')
+      clear(id) { if (id) byId.delete(id); else { byId.clear(); cache.clear(); } }
+    };
+  })();
+
+  L.template = (tplOrId, data) => L.tpl.render(tplOrId, data);
 
   // Safe HTML channel
   L.htmlSafe = (html, { sanitize } = {}) => {
@@ -1066,6 +3325,334 @@
     };
   })();
 
+  // Reactive state on top of getByPath/setByPath. Subscribers of a path are notified when that
+  // path, one of its parents or one of its children changes; update(fn) batches notifications.
+  L.state = (initial = {}) => {
+    const root = { v: isObj(initial) ? initial : {} };
+    const subs = new Set(); // { path, fn }
+    let depth = 0;
+    let pending = new Set();
+
+    const norm = (path) => (isArr(path) ? path : pathToTokens(path)).join('.');
+    const related = (a, b) => !a || !b || a === b || a.startsWith(b + '.') || b.startsWith(a + '.');
+
+    const flush = () => {
+      if (depth || !pending.size) return;
+      const changed = Array.from(pending);
+      pending = new Set();
+      for (const sub of Array.from(subs)) {
+        if (!subs.has(sub) || !changed.some(p => related(p, sub.path))) continue;
+        try { sub.fn(store.get(sub.path), { changed }); } catch (e) { L.log.danger('L.state: subscriber error', sub.path, e); }
+      }
+    };
+
+    const store = {
+      get(path, def) { return path == null || path === '' ? root.v : getByPath(root.v, path, def); },
+      set(path, value) {
+        const key = norm(path);
+        if (!key) {
+          root.v = value;
+        } else {
+          const prev = getByPath(root.v, path);
+          if (Object.is(prev, value) && !isObj(value)) return store;
+          setByPath(root.v, path, value);
+        }
+        pending.add(key);
+        flush();
+        return store;
+      },
+      // Batch several set() calls into one notification round; fn(store)
+      update(fn) {
+        depth++;
+        try { fn(store); } finally { depth--; flush(); }
+        return store;
+      },
+      // fn(value, { changed }) - returns unsubscribe; opts.immediate calls fn right away
+      subscribe(path, fn, opts = {}) {
+        const sub = { path: norm(path || ''), fn };
+        subs.add(sub);
+        if (opts.immediate) fn(store.get(sub.path), { changed: [] });
+        return () => { subs.delete(sub); };
+      },
+      // Keep `path` equal to fn(...deps values); returns a disposer
+      computed(path, deps, fn) {
+        const target = norm(path);
+        const list = (isArr(deps) ? deps : [deps]).filter(d => norm(d) !== target);
+        const run = () => store.set(path, fn(...list.map(d => store.get(d))));
+        const offs = list.map(d => store.subscribe(d, run));
+        run();
+        return () => offs.forEach(off => off());
+      },
+      snapshot() { return deepClone(root.v); }
+    };
+    return store;
+  };
+
+  // Declarative bindings: data-l-text / -attr / -class / -show / -model / -on against an L.state store
+  const BIND_ATTRS = ['text', 'attr', 'class', 'show', 'model', 'on'];
+  const BIND_SELECTOR = BIND_ATTRS.map(a => `[data-l-${a}]`).join(',');
+
+  const bindPairs = (spec) => String(spec).split(/[;,]/).map(s => s.trim()).filter(Boolean).map(s => {
+    const i = s.indexOf(':');
+    return i < 0 ? [null, s] : [s.slice(0, i).trim(), s.slice(i + 1).trim()];
+  });
+  const bindPath = (expr) => expr.replace(/^!\s*/, '');
+  const bindRead = (store, expr) => {
+    const v = store.get(bindPath(expr));
+    return expr[0] === '!' ? !v : v;
+  };
+
+  const readModel = (el, cur) => {
+    if (el.type === 'checkbox') {
+      if (!isArr(cur)) return el.checked;
+      const rest = cur.filter(x => String(x) !== el.value);
+      return el.checked ? rest.concat(el.value) : rest;
+    }
+    if (el.tagName === 'SELECT' && el.multiple) return toArray(el.selectedOptions).map(o => o.value);
+    if (el.type === 'number' || el.type === 'range') return el.value === '' ? null : Number(el.value);
+    return el.value;
+  };
+  const writeModel = (el, v) => {
+    if (el.type === 'checkbox') el.checked = isArr(v) ? v.map(String).includes(el.value) : !!v;
+    else if (el.type === 'radio') el.checked = v != null && String(v) === el.value;
+    else if (el.tagName === 'SELECT' && el.multiple) {
+      const vals = (isArr(v) ? v : []).map(String);
+      toArray(el.options).forEach(o => { o.selected = vals.includes(o.value); });
+    } else {
+      const s = v == null ? '' : String(v);
+      if (el.value !== s) el.value = s; // unchanged value keeps the caret
+    }
+  };
+
+  L.bind = (root, source, opts = {}) => {
+    const rootEl = isStr(root) ? document.querySelector(root) : root;
+    L.assert(!!rootEl, 'E_ASSERT_FAILED', 'L.bind: root element not found');
+    const store = (source && isFn(source.subscribe) && isFn(source.get)) ? source : L.state(source || {});
+    const ctx = opts.context || null;
+    const handlers = opts.handlers || {};
+    const offs = [];
+    const updaters = [];
+
+    const watch = (path, fn) => { updaters.push(fn); offs.push(store.subscribe(path, fn)); fn(); };
+    const listen = (el, type, fn) => { L.on(el, type, fn); offs.push(() => L.off(el, type, fn)); };
+    const ownedHere = (el) => {
+      const owner = el.parentElement && el.parentElement.closest('[data-light-name]');
+      return !owner || owner === rootEl || !rootEl.contains(owner);
+    };
+
+    const els = toArray(rootEl.querySelectorAll(BIND_SELECTOR));
+    if (rootEl.matches && rootEl.matches(BIND_SELECTOR)) els.unshift(rootEl);
+
+    for (const el of els) {
+      if (el !== rootEl && !ownedHere(el)) continue;
+      const ds = el.dataset;
+
+      if (ds.lText) {
+        const expr = ds.lText.trim();
+        watch(bindPath(expr), () => { const v = bindRead(store, expr); el.textContent = v == null ? '' : String(v); });
+      }
+      if (ds.lAttr) {
+        for (const [name, expr] of bindPairs(ds.lAttr)) {
+          if (!name) continue;
+          watch(bindPath(expr), () => {
+            const v = bindRead(store, expr);
+            if (v == null || v === false) el.removeAttribute(name);
+            else el.setAttribute(name, v === true ? '' : String(v));
+          });
+        }
+      }
+      if (ds.lClass) {
+        for (const [cls, expr] of bindPairs(ds.lClass)) {
+          if (cls) { watch(bindPath(expr), () => el.classList.toggle(cls, !!bindRead(store, expr))); continue; }
+          let prev = [];
+          watch(bindPath(expr), () => {
+            const v = store.get(expr);
+            const next = (isArr(v) ? v : String(v == null ? '' : v).split(/\s+/)).filter(Boolean);
+            prev.forEach(c => { if (!next.includes(c)) el.classList.remove(c); });
+            next.forEach(c => el.classList.add(c));
+            prev = next;
+          });
+        }
+      }
+      if (ds.lShow) {
+        const expr = ds.lShow.trim();
+        watch(bindPath(expr), () => { el.style.display = bindRead(store, expr) ? '' : 'none'; });
+      }
+      if (ds.lModel) {
+        const path = ds.lModel.trim();
+        watch(path, () => writeModel(el, store.get(path)));
+        const lazy = el.type === 'checkbox' || el.type === 'radio' || el.tagName === 'SELECT';
+        listen(el, lazy ? 'change' : 'input', () => {
+          if (el.type === 'radio' && !el.checked) return;
+          store.set(path, readModel(el, store.get(path)));
+        });
+      }
+      if (ds.lOn) {
+        for (const [type, name] of bindPairs(ds.lOn)) {
+          const fn = handlers[name] || (ctx && ctx[name]);
+          if (!type || !isFn(fn)) { L.log.warn('L.bind: no handler', name, 'for', type); continue; }
+          listen(el, type, (e) => fn.call(ctx || el, e, store, el));
+        }
+      }
+    }
+
+    const dispose = () => {
+      while (offs.length) { try { offs.pop()(); } catch (e) { L.reportError(e, { source: 'L.bind', phase: 'dispose' }); } }
+      updaters.length = 0;
+    };
+    dispose.store = store;
+    dispose.refresh = () => updaters.forEach(fn => fn());
+    return dispose;
+  };
+
+  // ---------- i18n ----------
+  // L.i18n.t('cart:items', { count: 5 }); locale → base language → fallbacks, missing keys return the key
+  L.i18n = (() => {
+    const dicts = new Map();     // locale -> { ns -> dict }
+    const loaded = new Set();    // 'locale|ns' (attempted loads, success or not)
+    const namespaces = new Set(['common']);
+    const listeners = new Set();
+    const cfg = { fallback: ['en'], load: null, defaultNS: 'common', missing: null };
+    let chosen = null; // set by setLocale(); until then follow window.LNG / L.env LNG like LightBase always did
+    const current = () => chosen || String(global.LNG || L.env.get('LNG') || 'pl');
+    let switching = 0;
+
+    const CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+    // Used when Intl.PluralRules is unavailable
+    const PLURAL_FALLBACK = {
+      pl: (n) => {
+        if (!Number.isInteger(n)) return 'other';
+        const m10 = n % 10, m100 = n % 100;
+        if (n === 1) return 'one';
+        if (m10 >= 2 && m10 <= 4 && (m100 < 12 || m100 > 14)) return 'few';
+        return 'many';
+      },
+      en: (n) => (n === 1 ? 'one' : 'other')
+    };
+    const rulesCache = new Map();
+    const plural = (locale, n) => {
+      const num = Math.abs(Number(n));
+      if (typeof Intl !== 'undefined' && Intl.PluralRules) {
+        let pr = rulesCache.get(locale);
+        if (!pr) { try { pr = new Intl.PluralRules(locale); } catch (_) { pr = null; } rulesCache.set(locale, pr); }
+        if (pr) return pr.select(num);
+      }
+      const fn = PLURAL_FALLBACK[locale.split('-')[0]] || PLURAL_FALLBACK.en;
+      return fn(num);
+    };
+
+    const chain = (locale) => {
+      const out = [];
+      const push = (l) => { if (l && !out.includes(l)) out.push(l); };
+      push(locale);
+      if (locale.includes('-')) push(locale.split('-')[0]);
+      const fb = isArr(cfg.fallback) ? cfg.fallback
+        : isObj(cfg.fallback) ? (cfg.fallback[locale] || cfg.fallback[locale.split('-')[0]] || cfg.fallback.default || [])
+        : [cfg.fallback];
+      fb.forEach(push);
+      return out;
+    };
+
+    const splitKey = (key) => {
+      const i = key.indexOf(':');
+      return i > 0 ? [key.slice(0, i), key.slice(i + 1)] : [cfg.defaultNS, key];
+    };
+
+    const isPluralForms = (v) => isObj(v) && !isArr(v) && Object.keys(v).length > 0 &&
+      Object.keys(v).every(k => CATEGORIES.includes(k) || /^=\d+$/.test(k));
+
+    const lookup = (locale, ns, path) => {
+      const byNs = dicts.get(locale);
+      return byNs && byNs[ns] ? getByPath(byNs[ns], path) : undefined;
+    };
+
+    const loadOne = (locale, ns) => {
+      const id = `${locale}|${ns}`;
+      if (!cfg.load || loaded.has(id)) return Promise.resolve();
+      loaded.add(id);
+      const p = isFn(cfg.load)
+        ? Promise.resolve(cfg.load(locale, ns))
+        : L.http.get(L.interpolate(cfg.load, { locale, ns })).then(r => r.data);
+      return p.then(
+        (dict) => { if (isObj(dict)) api.add(locale, ns, dict); },
+        (e) => { if (!(e && e.status === 404)) L.log.warn('L.i18n: load failed', locale, ns, e); }
+      );
+    };
+
+    const api = {
+      // { fallback: 'en' | ['en'] | { 'pl-PL': ['pl'], default: ['en'] }, load: fn | '/i18n/{{locale}}/{{ns}}.json', missing }
+      configure(opts = {}) {
+        extend(cfg, opts);
+        return api;
+      },
+
+      locale: current,
+      locales: (locale = current()) => chain(locale),
+      plural,
+
+      add(locale, ns, dict) {
+        if (!dicts.has(locale)) dicts.set(locale, Object.create(null));
+        const byNs = dicts.get(locale);
+        byNs[ns] = extend(true, byNs[ns] || {}, dict);
+        namespaces.add(ns);
+        return api;
+      },
+
+      // Load namespaces for the locale chain (no-op without configure({ load }))
+      load(namespacesToLoad, locale = current()) {
+        const list = namespacesToLoad == null ? Array.from(namespaces) : [].concat(namespacesToLoad);
+        list.forEach(ns => namespaces.add(ns));
+        const jobs = [];
+        for (const l of chain(locale)) for (const ns of list) jobs.push(loadOne(l, ns));
+        return Promise.all(jobs).then(() => api);
+      },
+
+      exists(key, { locale = current() } = {}) {
+        const [ns, path] = splitKey(key);
+        return chain(locale).some(l => lookup(l, ns, path) !== undefined);
+      },
+
+      // params.count picks the plural form: '=N', then the CLDR category, then 'other'
+      t(key, params = {}, { locale = current() } = {}) {
+        const [ns, path] = splitKey(String(key));
+        for (const l of chain(locale)) {
+          let v = lookup(l, ns, path);
+          if (v === undefined) continue;
+          if (isPluralForms(v)) {
+            const n = Number(params.count);
+            v = v[`=${n}`] !== undefined ? v[`=${n}`] : (v[plural(l, n)] !== undefined ? v[plural(l, n)] : v.other);
+          }
+          if (isStr(v)) return L.interpolate(v, params);
+        }
+        return cfg.missing ? cfg.missing(key, locale) : String(key);
+      },
+
+      // Loads known namespaces first, then notifies onChange + 'light:locale'; the last call wins
+      setLocale(locale) {
+        const next = String(locale);
+        const token = ++switching;
+        return api.load(null, next).then(() => {
+          const previous = current();
+          if (token !== switching || next === previous) return previous;
+          chosen = next;
+          L.env.set('LNG', next);
+          for (const fn of Array.from(listeners)) {
+            try { fn(next, previous); } catch (e) { L.log.danger('L.i18n: listener failed', e); }
+          }
+          L.emit(document, 'light:locale', { locale: next, previous });
+          return next;
+        });
+      },
+
+      // fn(locale, previous); returns unsubscribe
+      onChange(fn) {
+        listeners.add(fn);
+        return () => listeners.delete(fn);
+      }
+    };
+    return api;
+  })();
+
   // Storage with TTL (ms)
   L.store = {
     set(key, val, { ttl, scope } = {}) {